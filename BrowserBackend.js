@@ -0,0 +1,183 @@
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    }
+    else if (typeof define === "function" && define.amd) {
+        define([], factory);
+    }
+    else {
+        root.BrowserBackend = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+    "use strict";
+
+    /**
+     *  Backend used by the photo generator in the browser. A backend abstracts
+     *  everything the generator needs from its environment, so the same
+     *  generator can run anywhere a backend with the following methods exists:
+     *
+     *  createCanvas(width, height) returns a canvas element.
+     *  createImage() returns an image element with onload/onerror handlers.
+     *  loadImage(image, source) starts loading the source into the image.
+     *  cancelImage(image) stops loading the image (optional).
+     *  isSameOrigin(url) tells whether the URL can be drawn untainted.
+     *  loadFont(font, callback) loads a font, calling back with an error if
+     *  it cannot be loaded.
+     *  toBlob(canvas, mimeType, quality, callback) encodes the canvas.
+     *  createRequest() returns an XMLHttpRequest (used for uploads).
+     */
+    var BrowserBackend = function () {};
+
+    BrowserBackend.prototype = {};
+
+    /**
+     *  @public
+     *  Creates a detached canvas element.
+     *
+     *  @param {integer} width
+     *  @param {integer} height
+     *  @returns {object} canvas element
+     */
+    BrowserBackend.prototype.createCanvas = function (width, height) {
+        var canvas = document.createElement("canvas");
+        canvas.setAttribute("id", "photo_generator");
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    };
+
+    /**
+     *  @public
+     *  Creates an image element.
+     *
+     *  @returns {object} image element
+     */
+    BrowserBackend.prototype.createImage = function () {
+        return new Image();
+    };
+
+    /**
+     *  @public
+     *  Starts loading an image from a URL.
+     *
+     *  @param {object} image element
+     *  @param {string} image URL
+     */
+    BrowserBackend.prototype.loadImage = function (img, url) {
+        img.src = url;
+    };
+
+    /**
+     *  @public
+     *  Stops loading an image by taking its URL away.
+     *
+     *  @param {object} image element
+     */
+    BrowserBackend.prototype.cancelImage = function (img) {
+        img.removeAttribute("src");
+    };
+
+    /**
+     *  @public
+     *  Checks whether a URL is on the same origin as the page, comparing the
+     *  parsed origins so look-alike hosts (e.g. the host of the page followed
+     *  by another domain) never pass. Relative URLs are resolved against the
+     *  page.
+     *
+     *  @param {string} URL
+     *  @returns {boolean}
+     */
+    BrowserBackend.prototype.isSameOrigin = function (url) {
+        try {
+            return new URL(url, window.location.href).origin === window.location.origin;
+        }
+        catch (e) {
+            //Invalid URLs cannot be loaded from anywhere
+            return false;
+        }
+    };
+
+    /**
+     *  @public
+     *  Loads a font with the CSS Font Loading API, from its URL or from the
+     *  font faces of the page (e.g. declared with @font-face). A family the
+     *  page never declared must be installed on the system (like Arial or
+     *  sans-serif), as the browser tells with document.fonts.check, or it
+     *  fails. Browsers without the API have nothing to wait for.
+     *
+     *  @param {object} font (family, url, weight, style)
+     *  @param {function} callback receiving an error if the font failed
+     */
+    BrowserBackend.prototype.loadFont = function (font, callback) {
+        var weight = font.weight || "normal",
+            style = font.style || "normal",
+            //Generic families are keywords, quoted they would name a family
+            generic = ["serif", "sans-serif", "monospace", "cursive", "fantasy", "system-ui"].indexOf(font.family) !== -1,
+            spec = style + " " + weight + " 16px " + (generic ? font.family : JSON.stringify(font.family)),
+            promise;
+
+        if (!document.fonts) {
+            setTimeout(callback, 0);
+            return;
+        }
+
+        try {
+            if (font.url) {
+                var face = new FontFace(font.family, "url(" + JSON.stringify(font.url) + ")", {
+                    weight: String(weight),
+                    style: style
+                });
+                document.fonts.add(face);
+                promise = face.load();
+            }
+            else {
+                promise = document.fonts.load(spec);
+            }
+        }
+        catch (e) {
+            setTimeout(function () {
+                callback(e);
+            }, 0);
+            return;
+        }
+
+        promise.then(function (faces) {
+            //Loading by family resolves with the matching faces of the page,
+            //none for system fonts as well as unknown families
+            if (Array.isArray(faces) && !faces.length && !document.fonts.check(spec)) {
+                callback(new Error("No font face found for font " + font.family + "."));
+                return;
+            }
+            callback(null);
+        }, function (error) {
+            callback(error || new Error("Failed to load font " + font.family + "."));
+        });
+    };
+
+    /**
+     *  @public
+     *  Encodes the canvas as a Blob.
+     *
+     *  @param {object} canvas element
+     *  @param {string} mime type
+     *  @param {number} quality (0-1)
+     *  @param {function} callback receiving the Blob or null
+     */
+    BrowserBackend.prototype.toBlob = function (canvas, mimeType, quality, callback) {
+        canvas.toBlob(callback, mimeType, quality);
+    };
+
+    /**
+     *  @public
+     *  Creates a request for uploading.
+     *
+     *  @returns {object} XMLHttpRequest
+     */
+    BrowserBackend.prototype.createRequest = function () {
+        return new XMLHttpRequest();
+    };
+
+    return BrowserBackend;
+
+}));
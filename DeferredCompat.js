@@ -0,0 +1,176 @@
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    }
+    else if (typeof define === "function" && define.amd) {
+        define([], factory);
+    }
+    else {
+        root.DeferredCompat = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+    "use strict";
+
+    /**
+     *  The methods returning promises, which returned jQuery promises before.
+     */
+    var METHODS = ["render", "exportImage", "upload"];
+
+    /**
+     *  Gives a native promise the methods of a jQuery promise, so callers
+     *  written for jQuery promises keep working (including $.when, which
+     *  takes anything with a promise method).
+     *
+     *  @param {object} promise
+     *  @param {array} handlers to add progress handlers to
+     *  @returns {object} the same promise
+     */
+    var decorate = function (promise, progressHandlers) {
+        var state = "pending";
+
+        //Callbacks are only added for their side effects, rejections are
+        //left to the callers of the promise
+        var on = function (onResolved, onRejected) {
+            promise.then(onResolved, onRejected || function () {});
+        };
+
+        var callbacks = function (args) {
+            return Array.prototype.concat.apply([], args);
+        };
+
+        on(function () {
+            state = "resolved";
+        }, function () {
+            state = "rejected";
+        });
+
+        promise.done = function () {
+            var fns = callbacks(arguments);
+            on(function (value) {
+                fns.forEach(function (fn) {
+                    fn(value);
+                });
+            });
+            return promise;
+        };
+
+        promise.fail = function () {
+            var fns = callbacks(arguments);
+            on(null, function (error) {
+                fns.forEach(function (fn) {
+                    fn(error);
+                });
+            });
+            return promise;
+        };
+
+        promise.always = function () {
+            var fns = callbacks(arguments),
+                call = function (result) {
+                    fns.forEach(function (fn) {
+                        fn(result);
+                    });
+                };
+            on(call, call);
+            return promise;
+        };
+
+        promise.progress = function () {
+            Array.prototype.push.apply(progressHandlers, callbacks(arguments));
+            return promise;
+        };
+
+        promise.state = function () {
+            return state;
+        };
+
+        promise.promise = function () {
+            return promise;
+        };
+
+        return promise;
+    };
+
+    /**
+     *  Wraps a method returning a promise, so the promise is decorated and
+     *  the progress reported to onProgress goes to its progress handlers as
+     *  well.
+     *
+     *  @param {function} method
+     *  @param {integer} position of the options among the arguments
+     *  @returns {function} wrapped method
+     */
+    var wrap = function (method, index) {
+        if (method.deferredCompat) {
+            return method;
+        }
+
+        var wrapped = function () {
+            var args = Array.prototype.slice.call(arguments),
+                options = args[index] || {},
+                progressHandlers = [];
+
+            args[index] = Object.assign({}, options, {
+                onProgress: function (progress) {
+                    if (options.onProgress) {
+                        options.onProgress(progress);
+                    }
+                    progressHandlers.forEach(function (handler) {
+                        handler(progress);
+                    });
+                }
+            });
+
+            return decorate(method.apply(this, args), progressHandlers);
+        };
+        wrapped.deferredCompat = true;
+
+        return wrapped;
+    };
+
+    /**
+     *  Compatibility with the jQuery promises of earlier versions for
+     *  existing callers, who get done, fail, always, progress, state and
+     *  promise methods on the promises of render, exportImage, upload and
+     *  renderBatch. The promises are native promises all the same. The AMD
+     *  modules install it, other module formats can install it themselves.
+     */
+    return {
+
+        /**
+         *  @public
+         *  Installs the compatibility on the methods of a class (not on
+         *  methods it inherits, which are installed on their own class).
+         *
+         *  @param {function} PhotoGenerator or PhotoCollage
+         *  @returns {function} the class
+         */
+        install: function (Class) {
+            METHODS.forEach(function (name) {
+                if (Object.prototype.hasOwnProperty.call(Class.prototype, name)) {
+                    Class.prototype[name] = wrap(Class.prototype[name], 0);
+                }
+            });
+
+            if (Object.prototype.hasOwnProperty.call(Class, "renderBatch")) {
+                Class.renderBatch = wrap(Class.renderBatch, 1);
+            }
+
+            return Class;
+        },
+
+        /**
+         *  @public
+         *  Gives a single promise the methods of a jQuery promise.
+         *
+         *  @param {object} promise
+         *  @returns {object} the same promise
+         */
+        decorate: function (promise) {
+            return decorate(promise, []);
+        }
+
+    };
+
+}));
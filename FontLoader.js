@@ -0,0 +1,113 @@
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    }
+    else if (typeof define === "function" && define.amd) {
+        define([], factory);
+    }
+    else {
+        root.FontLoader = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+    "use strict";
+
+    /**
+     *  Loads the fonts used by photo generators through their backend. Each
+     *  font is only loaded once, so renders using the same font share its
+     *  load. Pass a font loader as the fontLoader option to share fonts
+     *  between photos as well.
+     *
+     *  @param {object} backend (see BrowserBackend)
+     */
+    var FontLoader = function (backend) {
+        this._backend = backend;
+        this._loads = {};
+    };
+
+    FontLoader.prototype = {};
+
+    /**
+     *  @public
+     *  Loads fonts, given by a URL to load them from or just by a family to
+     *  wait for (e.g. a web font declared by the page). Fonts not loaded
+     *  within the timeout are given up on for this time, leaving the text to
+     *  the fallback fonts. The promise is never rejected.
+     *
+     *  @param {array} fonts (family, url, weight, style)
+     *  @param {integer} timeout in milliseconds (0 waits as long as it takes)
+     *  @returns {object} promise resolving with the fonts loaded (loaded)
+     *  and the fonts failing or timing out, with their error (failed)
+     */
+    FontLoader.prototype.load = function (fonts, timeout) {
+        var loaded = [],
+            failed = [];
+
+        var waits = fonts.map(function (font) {
+            return new Promise(function (resolve) {
+                var timer;
+
+                if (timeout) {
+                    timer = setTimeout(function () {
+                        timer = null;
+                        failed.push(Object.assign({ error: new Error("Timed out loading font " + font.family + ".") }, font));
+                        resolve();
+                    }, timeout);
+                }
+
+                this._load(font).then(function () {
+                    if (timer !== null) {
+                        clearTimeout(timer);
+                        loaded.push(font);
+                        resolve();
+                    }
+                }, function (error) {
+                    if (timer !== null) {
+                        clearTimeout(timer);
+                        failed.push(Object.assign({ error: error }, font));
+                        resolve();
+                    }
+                });
+            }.bind(this));
+        }.bind(this));
+
+        return Promise.all(waits).then(function () {
+            return {
+                loaded: loaded,
+                failed: failed
+            };
+        });
+    };
+
+    /**
+     *  @private
+     *  Loads a font through the backend, or joins the load already started.
+     *
+     *  @param {object} font (family, url, weight, style)
+     *  @returns {object} promise
+     */
+    FontLoader.prototype._load = function (font) {
+        var key = [font.family, font.weight || "normal", font.style || "normal", font.url || ""].join("|"),
+            loads = this._loads;
+
+        if (!loads[key]) {
+            loads[key] = new Promise(function (resolve, reject) {
+                this._backend.loadFont(font, function (error) {
+                    if (error) {
+                        //Give the font another chance next time
+                        delete loads[key];
+                        reject(error);
+                    }
+                    else {
+                        resolve();
+                    }
+                });
+            }.bind(this));
+        }
+
+        return loads[key];
+    };
+
+    return FontLoader;
+
+}));
@@ -0,0 +1,179 @@
+(function (factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("fs"));
+    }
+    else {
+        define(["fs"], factory);
+    }
+}(function (fs) {
+
+    "use strict";
+
+    /**
+     *  Backend used by the photo generator in Node, drawing with node-canvas
+     *  (or a module with the same API passed as the canvas option, in which
+     *  case node-canvas need not be installed at all). Images
+     *  can be loaded from http(s) and data URLs, local file paths and
+     *  Buffers. Fonts must be registered with registerFont (or given with a
+     *  path in the fonts option) before anything is drawn.
+     *  Node has no XMLHttpRequest, so one must be given to upload photos.
+     *
+     *  @param {object} options (canvas: node-canvas compatible module,
+     *  XMLHttpRequest: XMLHttpRequest compatible constructor)
+     */
+    var NodeBackend = function (options) {
+        options = options || {};
+
+        //Only required here, so another canvas module can be used without it
+        this._canvas = options.canvas || require("canvas");
+        this._XMLHttpRequest = options.XMLHttpRequest || (typeof XMLHttpRequest !== "undefined" ? XMLHttpRequest : null);
+    };
+
+    NodeBackend.prototype = {};
+
+    /**
+     *  @public
+     *  Creates a canvas.
+     *
+     *  @param {integer} width
+     *  @param {integer} height
+     *  @returns {object} canvas
+     */
+    NodeBackend.prototype.createCanvas = function (width, height) {
+        return this._canvas.createCanvas(width, height);
+    };
+
+    /**
+     *  @public
+     *  Creates an image.
+     *
+     *  @returns {object} image
+     */
+    NodeBackend.prototype.createImage = function () {
+        return new this._canvas.Image();
+    };
+
+    /**
+     *  @public
+     *  Starts loading an image from a URL, a local file path or a Buffer.
+     *
+     *  @param {object} image
+     *  @param {string|object} image URL, file path or Buffer
+     */
+    NodeBackend.prototype.loadImage = function (img, source) {
+        if (typeof source !== "string" || source.match(/^(https?|data):/i)) {
+            img.src = source;
+            return;
+        }
+
+        fs.readFile(source.replace(/^file:\/\//i, ""), function (err, data) {
+            if (err) {
+                if (img.onerror) {
+                    img.onerror(err);
+                }
+                return;
+            }
+            img.src = data;
+        });
+    };
+
+    /**
+     *  @public
+     *  Loads cannot be stopped in Node, the image is simply ignored once it
+     *  arrives.
+     */
+    NodeBackend.prototype.cancelImage = function () {};
+
+    /**
+     *  @public
+     *  Nothing can be tainted outside the browser, so no URL needs a proxy.
+     *
+     *  @returns {boolean}
+     */
+    NodeBackend.prototype.isSameOrigin = function () {
+        return true;
+    };
+
+    /**
+     *  @public
+     *  Registers a font given by the path of its file (see registerFont).
+     *  Fonts without a path must have been registered up front, so they are
+     *  always ready.
+     *
+     *  @param {object} font (family, url: path to the font file, weight,
+     *  style)
+     *  @param {function} callback receiving an error if the font failed
+     */
+    NodeBackend.prototype.loadFont = function (font, callback) {
+        var error = null;
+
+        if (font.url) {
+            try {
+                this.registerFont(font.url.replace(/^file:\/\//i, ""), {
+                    family: font.family,
+                    weight: font.weight && String(font.weight),
+                    style: font.style
+                });
+            }
+            catch (e) {
+                error = e;
+            }
+        }
+
+        setTimeout(function () {
+            callback(error);
+        }, 0);
+    };
+
+    /**
+     *  @public
+     *  Registers a font file to be used by the canvas.
+     *
+     *  @param {string} path to the font file
+     *  @param {object} font face (family, weight, style)
+     */
+    NodeBackend.prototype.registerFont = function (path, fontFace) {
+        this._canvas.registerFont(path, fontFace);
+    };
+
+    /**
+     *  @public
+     *  Encodes the canvas as a Blob.
+     *
+     *  @param {object} canvas
+     *  @param {string} mime type
+     *  @param {number} quality (0-1)
+     *  @param {function} callback receiving the Blob or null
+     */
+    NodeBackend.prototype.toBlob = function (canvas, mimeType, quality, callback) {
+        var config = quality !== undefined ? { quality: quality } : undefined,
+            buffer;
+
+        try {
+            buffer = canvas.toBuffer(mimeType, config);
+        }
+        catch (e) {
+            //Unsupported formats cannot be encoded at all
+            callback(null);
+            return;
+        }
+
+        callback(new Blob([buffer], { type: mimeType }));
+    };
+
+    /**
+     *  @public
+     *  Creates a request for uploading.
+     *
+     *  @returns {object} XMLHttpRequest
+     */
+    NodeBackend.prototype.createRequest = function () {
+        if (!this._XMLHttpRequest) {
+            throw new Error("No XMLHttpRequest available, pass one as the XMLHttpRequest option.");
+        }
+        return new this._XMLHttpRequest();
+    };
+
+    return NodeBackend;
+
+}));
@@ -0,0 +1,451 @@
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./PhotoGenerator"));
+    }
+    else if (typeof define === "function" && define.amd) {
+        //AMD callers keep the jQuery style promises of earlier versions
+        define([
+            "./PhotoGenerator",
+            "./DeferredCompat"
+        ], function (PhotoGenerator, DeferredCompat) {
+            return DeferredCompat.install(factory(PhotoGenerator));
+        });
+    }
+    else {
+        root.PhotoCollage = factory(root.PhotoGenerator);
+    }
+}(typeof self !== "undefined" ? self : this, function (PhotoGenerator) {
+
+    "use strict";
+
+    /**
+     *  Combines several photos into one image. Each photo is created by its
+     *  own photo generator (with its tags, but without a watermark) and drawn
+     *  into a cell of the layout, then a single watermark is added on top.
+     *  The collage takes the same options as the photo generator, which are
+     *  passed on to the photos, with imageWidth and imageHeight setting the
+     *  size of the whole collage. Labels are scaled to the size of the cells
+     *  relative to labelBaseWidth, the width they are designed for.
+     *
+     *  @param {array} photo objects, one for each cell
+     *  @param {object} options (layout: name of a layout in
+     *  PhotoCollage.layouts or an array of cells, gutter, collageBackground,
+     *  labelBaseWidth and photo generator options)
+     */
+    var PhotoCollage = function (photos, options) {
+        PhotoGenerator.call(this, null, PhotoGenerator._extend({
+            imageWidth: 1080,
+            imageHeight: 1080,
+            fit: "cover",
+            layout: "2x2",
+            gutter: 8,
+            collageBackground: "rgb(255, 255, 255)",
+            labelBaseWidth: 375
+        }, options));
+
+        this._photos = photos;
+    };
+
+    PhotoCollage.prototype = Object.create(PhotoGenerator.prototype);
+    PhotoCollage.prototype.constructor = PhotoCollage;
+
+    /**
+     *  Layouts of the collage. Each cell is given by its position and size
+     *  as a fraction of the collage (x, y, width, height).
+     */
+    PhotoCollage.layouts = {
+        "2x2": [
+            { x: 0, y: 0, width: 0.5, height: 0.5 },
+            { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+            { x: 0, y: 0.5, width: 0.5, height: 0.5 },
+            { x: 0.5, y: 0.5, width: 0.5, height: 0.5 }
+        ],
+        "1+2": [
+            { x: 0, y: 0, width: 0.5, height: 1 },
+            { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+            { x: 0.5, y: 0.5, width: 0.5, height: 0.5 }
+        ],
+        "3-vertical": [
+            { x: 0, y: 0, width: 1 / 3, height: 1 },
+            { x: 1 / 3, y: 0, width: 1 / 3, height: 1 },
+            { x: 2 / 3, y: 0, width: 1 / 3, height: 1 }
+        ]
+    };
+
+    /**
+     *  @public
+     *  Creates the collage. The promise is rejected with the error of the
+     *  first photo that fails (with the index of its cell as cellIndex).
+     *  Cells without a photo are left empty and photos without a cell are
+     *  left out. Aborting works like PhotoGenerator.render, for all photos.
+     *
+     *  The events of the photos (see PhotoGenerator.on) are triggered on the
+     *  collage with the index of their cell as cellIndex, along with those of
+     *  the logo and fontReady for the fonts of the collage. Progress counts
+     *  the images of all photos and the logo together.
+     *
+     *  @param {object} options (pixelRatio, retina, outputWidth, renderer,
+     *  signal, cancelToken and onProgress like PhotoGenerator.render)
+     *  @returns {object} promise
+     */
+    PhotoCollage.prototype.render = function (options) {
+        options = options || {};
+
+        var config = this._config,
+            renderer = options.renderer || "canvas",
+            pixelRatio = options.outputWidth ? options.outputWidth / config.imageWidth : options.pixelRatio || (options.retina ? 2 : 1),
+            settled = false,
+            resolve,
+            reject,
+            cells;
+
+        try {
+            cells = this._layoutCells();
+        }
+        catch (e) {
+            return Promise.reject(e);
+        }
+        if (options.signal && options.signal.aborted) {
+            return Promise.reject(this._abortedError(options.signal.reason));
+        }
+
+        var promise = new Promise(function (onResolved, onRejected) {
+            resolve = onResolved;
+            reject = onRejected;
+        });
+        promise.then(function () {
+            settled = true;
+        }, function () {
+            settled = true;
+        });
+
+        //Progress of each photo (by the index of its cell) and of the logo
+        var progress = {};
+
+        var report = function (part, loaded, total, resource) {
+            progress[part] = {
+                loaded: loaded,
+                total: total
+            };
+
+            var event = Object.keys(progress).reduce(function (sum, key) {
+                sum.loaded += progress[key].loaded;
+                sum.total += progress[key].total;
+                return sum;
+            }, {
+                loaded: 0,
+                total: 0,
+                resource: resource
+            });
+
+            this._trigger("progress", event);
+            if (options.onProgress) {
+                options.onProgress(event);
+            }
+        }.bind(this);
+
+        //Create the photo of each cell
+        var cellPromises = cells.slice(0, this._photos.length).map(function (cell, index) {
+            cell.generator = new PhotoGenerator(this._photos[index], Object.assign({}, config, {
+                imageWidth: cell.width,
+                imageHeight: cell.height,
+                labelScale: config.labelScale * cell.width / config.labelBaseWidth,
+                //Pins would need a legend outside the cell
+                tagStyle: "label",
+                watermarkType: "none",
+                backend: this._backend,
+                imageCache: this._imageCache,
+                fontLoader: this._fontLoader
+            }));
+
+            //Pass the events of the photo on to the handlers of the collage
+            ["resourceLoaded", "resourceFailed", "beforeImage", "afterImage", "beforeTag", "afterTag"].forEach(function (event) {
+                cell.generator.on(event, function (data) {
+                    this._trigger(event, Object.assign({ cellIndex: index }, data));
+                }.bind(this));
+            }.bind(this));
+
+            var render = cell.generator.render({
+                pixelRatio: pixelRatio,
+                renderer: renderer,
+                onProgress: function (cellProgress) {
+                    report(index, cellProgress.loaded, cellProgress.total, Object.assign({ cellIndex: index }, cellProgress.resource));
+                }
+            });
+
+            var cellPromise = render.then(function (results) {
+                cell.canvas = results["default"].canvas;
+                cell.taintedBy = results["default"].taintedBy;
+            }, function (error) {
+                error.cellIndex = index;
+                throw error;
+            });
+            cellPromise.abort = render.abort;
+
+            return cellPromise;
+        }.bind(this));
+
+        //Load the logo (only needed for image watermarks)
+        var logoImg = null,
+            logoResources = [],
+            logoPromise = Promise.resolve();
+        if (config.watermarkType === "image") {
+            progress.logo = {
+                loaded: 0,
+                total: 1
+            };
+            var logoLoad = this._loadImage(config.watermarkUrl, {
+                kind: "watermark"
+            });
+            logoPromise = logoLoad.then(function (result) {
+                logoImg = result.img;
+                logoResources.push(result.resource);
+                if (!settled) {
+                    this._trigger("resourceLoaded", result.resource);
+                    report("logo", 1, 1, result.resource);
+                }
+            }.bind(this), function (error) {
+                if (!settled) {
+                    var resource = {
+                        kind: error.kind,
+                        url: error.url,
+                        error: error
+                    };
+                    this._trigger("resourceFailed", resource);
+                    report("logo", 1, 1, resource);
+                }
+                throw error;
+            }.bind(this));
+            logoPromise.abort = logoLoad.abort;
+        }
+
+        //Stop the photos and the logo, after rejecting so the collage is not
+        //rejected with the error of a photo
+        var abort = function (reason) {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            reject(this._abortedError(reason));
+            [logoPromise].concat(cellPromises).forEach(function (load) {
+                if (load.abort) {
+                    load.abort();
+                }
+            });
+        }.bind(this);
+        this._abortOn(options, promise, abort);
+
+        Promise.all([logoPromise].concat(cellPromises))
+            .then(function () {
+                return this._loadFonts([config]);
+            }.bind(this))
+            .then(function (fonts) {
+                if (settled) {
+                    return;
+                }
+                this._trigger("fontReady", fonts);
+                this._drawCollage(cells, logoImg, pixelRatio, renderer);
+                this._taintedBy = this._findTaint(cells.reduce(function (resources, cell, index) {
+                    return resources.concat((cell.taintedBy || []).map(function (resource) {
+                        return Object.assign({ cellIndex: index }, resource);
+                    }));
+                }, logoResources));
+                resolve(this._canvas);
+            }.bind(this))
+            .then(null, reject);
+
+        promise.abort = abort;
+
+        return promise;
+    };
+
+    /**
+     *  @public
+     *  Describes where the tags of each cell ended up on the collage, like
+     *  PhotoGenerator.getLayout, with the index of the cell as cell.
+     *
+     *  @returns {array} layout of every tag in every cell
+     */
+    PhotoCollage.prototype.getLayout = function () {
+        var scaleX = this._canvas.width / this._canvasWidth,
+            scaleY = this._canvas.height / this._canvasHeight;
+
+        var move = function (rect, cell) {
+            var result = {
+                x: cell.x + rect.x,
+                y: cell.y + rect.y,
+                width: rect.width,
+                height: rect.height
+            };
+            if (rect.arrow) {
+                result.arrow = {
+                    x: cell.x + rect.arrow.x,
+                    y: cell.y + rect.arrow.y
+                };
+            }
+            return result;
+        };
+
+        var scale = function (rect) {
+            var result = {
+                x: rect.x * scaleX,
+                y: rect.y * scaleY,
+                width: rect.width * scaleX,
+                height: rect.height * scaleY
+            };
+            if (rect.arrow) {
+                result.arrow = {
+                    x: rect.arrow.x * scaleX,
+                    y: rect.arrow.y * scaleY
+                };
+            }
+            return result;
+        };
+
+        return this._cells.reduce(function (layout, cell, cellIndex) {
+            if (!cell.generator) {
+                return layout;
+            }
+            return layout.concat(cell.generator.getLayout().map(function (item) {
+                var css = move(item.css, cell);
+
+                return {
+                    cell: cellIndex,
+                    index: item.index,
+                    productId: item.productId,
+                    direction: item.direction,
+                    css: css,
+                    device: scale(css)
+                };
+            }));
+        }, []);
+    };
+
+    /**
+     *  @public
+     *  Describes the tags as hotspots for overlaying links on the exported
+     *  collage, in percent of the collage like PhotoGenerator.getHotspots.
+     *  The hotspots are listed for the whole collage and for each cell.
+     *
+     *  @param {object} options (href: function returning the link of a tag,
+     *  defaults to tag.product.url)
+     *  @returns {object} width, height (css pixels), hotspots (with the index
+     *  of the cell as cell) and cells (index, left, top, width, height and
+     *  the hotspots of the cell)
+     */
+    PhotoCollage.prototype.getHotspots = function (options) {
+        var result = PhotoGenerator.prototype.getHotspots.call(this, options),
+            layout = this.getLayout(),
+            width = result.width,
+            height = result.height;
+
+        result.hotspots.forEach(function (hotspot, index) {
+            hotspot.cell = layout[index].cell;
+        });
+
+        result.cells = this._cells.map(function (cell, index) {
+            return {
+                index: index,
+                left: cell.x / width * 100,
+                top: cell.y / height * 100,
+                width: cell.width / width * 100,
+                height: cell.height / height * 100,
+                hotspots: result.hotspots.filter(function (hotspot) {
+                    return hotspot.cell === index;
+                })
+            };
+        });
+
+        return result;
+    };
+
+    /**
+     *  @private
+     *  @param {object} item of the layout (see getLayout)
+     *  @returns {object} tag the item belongs to
+     */
+    PhotoCollage.prototype._layoutTag = function (item) {
+        return this._photos[item.cell].tags[item.index];
+    };
+
+    /**
+     *  @private
+     *  Calculates the cells of the layout in CSS pixels. The gutter is kept
+     *  between the cells and around the edges of the collage.
+     *
+     *  @returns {array} cells (x, y, width, height)
+     */
+    PhotoCollage.prototype._layoutCells = function () {
+        var layout = this._config.layout,
+            gutter = this._config.gutter,
+            width = this._config.imageWidth - gutter,
+            height = this._config.imageHeight - gutter;
+
+        if (typeof layout === "string") {
+            if (!PhotoCollage.layouts[layout]) {
+                throw new PhotoGenerator.Error(
+                    "unknown_layout",
+                    "Unknown collage layout " + layout + ".",
+                    { layout: layout }
+                );
+            }
+            layout = PhotoCollage.layouts[layout];
+        }
+
+        return layout.map(function (cell) {
+            return {
+                x: cell.x * width + gutter,
+                y: cell.y * height + gutter,
+                width: cell.width * width - gutter,
+                height: cell.height * height - gutter
+            };
+        });
+    };
+
+    /**
+     *  @private
+     *  Draws the collage from the created photos of the cells, adding the
+     *  watermark over the whole collage.
+     *
+     *  @param {array} cells with their photo generators
+     *  @param {object} Image element of the logo
+     *  @param {number} pixel ratio
+     *  @param {string} renderer (canvas or svg)
+     */
+    PhotoCollage.prototype._drawCollage = function (cells, logoImg, pixelRatio, renderer) {
+        this._cells = cells;
+        this._renderer = renderer;
+        this._pixelRatio = pixelRatio;
+        this._labelScale = 1;
+        this._width = this._canvasWidth = this._config.imageWidth;
+        this._height = this._canvasHeight = this._config.imageHeight;
+        this._logoImg = logoImg;
+
+        this._constructCanvas();
+
+        this._context.fillStyle = this._config.collageBackground;
+        this._context.fillRect(0, 0, this._width, this._height);
+
+        cells.forEach(function (cell) {
+            if (!cell.canvas) {
+                return;
+            }
+
+            var img = cell.canvas;
+            if (renderer === "svg") {
+                //Nest the SVG of the cell as an image
+                img = {
+                    src: "data:image/svg+xml;charset=utf-8," + encodeURIComponent(cell.generator.getSvg()),
+                    width: img.width,
+                    height: img.height
+                };
+            }
+            this._context.drawImage(img, cell.x, cell.y, cell.width, cell.height);
+        }.bind(this));
+
+        this._constructWatermark();
+    };
+
+    return PhotoCollage;
+
+}));
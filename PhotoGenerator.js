@@ -1,13 +1,369 @@
-define([
-    "jquery",
-    "FontDetect"
-], function ($, FontDetect) {
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(
+            require("./BrowserBackend"),
+            require("./SvgContext"),
+            require("./PixelFilters"),
+            require("./FontLoader")
+        );
+    }
+    else if (typeof define === "function" && define.amd) {
+        //AMD callers keep the jQuery style promises of earlier versions
+        define([
+            "./BrowserBackend",
+            "./SvgContext",
+            "./PixelFilters",
+            "./FontLoader",
+            "./DeferredCompat"
+        ], function (BrowserBackend, SvgContext, PixelFilters, FontLoader, DeferredCompat) {
+            return DeferredCompat.install(factory(BrowserBackend, SvgContext, PixelFilters, FontLoader));
+        });
+    }
+    else {
+        //Plain script tags get globals, included after those of the
+        //dependencies
+        root.PhotoGenerator = factory(root.BrowserBackend, root.SvgContext, root.PixelFilters, root.FontLoader);
+    }
+}(typeof self !== "undefined" ? self : this, function (BrowserBackend, SvgContext, PixelFilters, FontLoader) {
 
     "use strict";
 
+    /**
+     *  Matches a single grapheme cluster: a (surrogate pair) character with any
+     *  combining marks, variation selectors, emoji modifiers and zero width
+     *  joined characters that follow it, or a pair of regional indicators.
+     *  Only used where Intl.Segmenter is not available.
+     */
+    var GRAPHEME_PATTERN = /(?:\ud83c[\udde6-\uddff]){2}|(?:[\ud800-\udbff][\udc00-\udfff]|[\s\S])(?:[\u0300-\u036f\u0483-\u0489\u0591-\u05c7\u0610-\u061a\u064b-\u065f\u0670\u06d6-\u06ed\u0900-\u0903\u093a-\u094f\u0e31-\u0e3a\u0e47-\u0e4e\u1ab0-\u1aff\u1dc0-\u1dff\u200c\u20d0-\u20ff\ufe00-\ufe0f\ufe20-\ufe2f]|\ud83c[\udffb-\udfff]|\udb40[\udc20-\udc7f]|\u200d(?:[\ud800-\udbff][\udc00-\udfff]|[\s\S]))*/g;
+
+    /**
+     *  Matches the first character with a strong direction, capturing it if
+     *  it belongs to a right-to-left script.
+     */
+    var DIRECTION_PATTERN = /([\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufefc])|[A-Za-z\u00c0-\u02b8\u0370-\u058f\u0900-\u1fff\u3040-\uffef]/;
+
+    /**
+     *  Copies the properties of the sources onto the target, leaving out
+     *  undefined values so options left undefined keep their defaults.
+     *
+     *  @param {object} target
+     *  @param {object} sources (any number)
+     *  @returns {object} target
+     */
+    var extend = function (target) {
+        Array.prototype.slice.call(arguments, 1).forEach(function (source) {
+            Object.keys(source || {}).forEach(function (key) {
+                if (source[key] !== undefined) {
+                    target[key] = source[key];
+                }
+            });
+        });
+
+        return target;
+    };
+
+    /**
+     *  Creates a promise settled from the outside, knowing whether it has
+     *  been settled yet.
+     *
+     *  @returns {object} promise, resolve, reject and settled
+     */
+    var defer = function () {
+        var deferred = { settled: false };
+
+        deferred.promise = new Promise(function (resolve, reject) {
+            deferred.resolve = function (value) {
+                deferred.settled = true;
+                resolve(value);
+            };
+            deferred.reject = function (error) {
+                deferred.settled = true;
+                reject(error);
+            };
+        });
+
+        return deferred;
+    };
+
+    /**
+     *  Splits a text into grapheme clusters, so it is never cut in the middle
+     *  of a character.
+     *
+     *  @param {string} text
+     *  @returns {array} grapheme clusters
+     */
+    var splitGraphemes = function (text) {
+        if (typeof Intl !== "undefined" && Intl.Segmenter) {
+            return Array.from(new Intl.Segmenter().segment(text)).map(function (segment) {
+                return segment.segment;
+            });
+        }
+        return text.match(GRAPHEME_PATTERN) || [];
+    };
+
+    /**
+     *  Checks whether a text reads from right to left, based on its first
+     *  character with a strong direction.
+     *
+     *  @param {string} text
+     *  @returns {boolean}
+     */
+    var isRightToLeft = function (text) {
+        var match = text.match(DIRECTION_PATTERN);
+        return !!(match && match[1]);
+    };
+
+    /**
+     *  Escapes text for use in HTML attributes.
+     *
+     *  @param {string} text
+     *  @returns {string} escaped text
+     */
+    var escapeHtml = function (text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/"/g, "&quot;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;");
+    };
+
+    /**
+     *  Encodes text as base64, taking the text as UTF-8 so any character can
+     *  be encoded (btoa alone only takes Latin-1).
+     *
+     *  @param {string} text
+     *  @returns {string} base64
+     */
+    var base64Encode = function (text) {
+        return btoa(unescape(encodeURIComponent(text)));
+    };
+
+    /**
+     *  Finds the host name of an absolute URL.
+     *
+     *  @param {string} URL
+     *  @returns {string} host name in lower case, or null for relative URLs
+     */
+    var urlHost = function (url) {
+        var match = url.match(/^(?:[a-z][a-z\d+.-]*:)?\/\/(?:[^\/?#@]*@)?([^\/?#:]+)/i);
+        return match ? match[1].toLowerCase() : null;
+    };
+
+    /**
+     *  Checks whether a host name is in a list of hosts. Hosts starting with
+     *  "*." match any subdomain.
+     *
+     *  @param {string} host name
+     *  @param {array} host names
+     *  @returns {boolean}
+     */
+    var matchesHost = function (host, hosts) {
+        return hosts.some(function (pattern) {
+            pattern = pattern.toLowerCase();
+            if (pattern.indexOf("*.") === 0) {
+                return host.slice(-pattern.length + 1) === pattern.slice(1);
+            }
+            return host === pattern;
+        });
+    };
+
+    /**
+     *  Picks the URL of an image from its versions, skipping versions without
+     *  a URL. Image sources are URLs, or anything else the backend can load.
+     *
+     *  @param {object} versions of the image (e.g. large and original)
+     *  @param {array} names of the versions, the preferred one first
+     *  @returns {string|object} URL of the first version that has one, or
+     *  null
+     */
+    var versionUrl = function (versions, names) {
+        for (var i = 0; i < names.length; i++) {
+            var version = versions[names[i]],
+                url = typeof version === "object" && version !== null ? version.url : null;
+
+            if ((typeof url === "string" && url !== "") || (typeof url === "object" && url !== null)) {
+                return url;
+            }
+        }
+        return null;
+    };
+
+    /**
+     *  Parses the response of a request, as JSON if the server says it is.
+     *
+     *  @param {object} XMLHttpRequest
+     *  @returns {object|string} response
+     */
+    var parseResponse = function (request) {
+        var type = request.getResponseHeader("Content-Type") || "";
+        if (type.indexOf("json") !== -1) {
+            try {
+                return JSON.parse(request.responseText);
+            }
+            catch (e) {
+                //Fall back to the text of a broken response
+            }
+        }
+        return request.responseText;
+    };
+
+    /**
+     *  Parses a color given as rgb(), rgba() or a hex color.
+     *
+     *  @param {string} color
+     *  @returns {object} r, g, b (0-255) and a (0-1), or null for other colors
+     */
+    var parseColor = function (color) {
+        var match = String(color).match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+        if (match) {
+            return {
+                r: parseFloat(match[1]),
+                g: parseFloat(match[2]),
+                b: parseFloat(match[3]),
+                a: match[4] === undefined ? 1 : parseFloat(match[4])
+            };
+        }
+
+        match = String(color).match(/^#([\da-f]{3}|[\da-f]{6})$/i);
+        if (match) {
+            var hex = match[1].length === 3 ? match[1].replace(/./g, "$&$&") : match[1];
+            return {
+                r: parseInt(hex.substr(0, 2), 16),
+                g: parseInt(hex.substr(2, 2), 16),
+                b: parseInt(hex.substr(4, 2), 16),
+                a: 1
+            };
+        }
+
+        return null;
+    };
+
+    /**
+     *  Blends a color with an alpha over an opaque color.
+     *
+     *  @param {object} color in front (r, g, b, a)
+     *  @param {object} color behind (r, g, b)
+     *  @returns {object} opaque color (r, g, b, a)
+     */
+    var blendColors = function (front, back) {
+        return {
+            r: front.r * front.a + back.r * (1 - front.a),
+            g: front.g * front.a + back.g * (1 - front.a),
+            b: front.b * front.a + back.b * (1 - front.a),
+            a: 1
+        };
+    };
+
+    /**
+     *  Calculates the contrast ratio of two opaque colors as defined by WCAG,
+     *  from 1 (no contrast) to 21 (black on white).
+     *
+     *  @param {object} color (r, g, b)
+     *  @param {object} color (r, g, b)
+     *  @returns {number} contrast ratio
+     */
+    var contrastRatio = function (a, b) {
+        var luminance = function (color) {
+            return [color.r, color.g, color.b].map(function (channel) {
+                channel /= 255;
+                return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+            }).reduce(function (sum, channel, index) {
+                return sum + channel * [0.2126, 0.7152, 0.0722][index];
+            }, 0);
+        };
+
+        var la = luminance(a),
+            lb = luminance(b);
+
+        return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+    };
+
+    /**
+     *  Error used to reject the promises returned by the photo generator. The
+     *  code identifies the type of failure and any details (e.g. the URL, kind
+     *  and tag index of a resource that failed to load) are added as
+     *  properties on the error.
+     *
+     *  @param {string} code
+     *  @param {string} message
+     *  @param {object} details
+     */
+    var PhotoGeneratorError = function (code, message, details) {
+        extend(this, details);
+
+        this.name = "PhotoGeneratorError";
+        this.code = code;
+        this.message = message;
+        this.stack = (new Error(message)).stack;
+    };
+
+    PhotoGeneratorError.prototype = Object.create(Error.prototype);
+    PhotoGeneratorError.prototype.constructor = PhotoGeneratorError;
+
+    /**
+     *  Cache of image loads keyed by resolved URL. Every generator shares
+     *  loads of the same image between its tags and renders. Pass a cache as
+     *  the imageCache option to share images between photos as well.
+     */
+    var ImageCache = function () {
+        this._images = {};
+    };
+
+    ImageCache.prototype = {};
+
+    /**
+     *  @public
+     *  @param {string} resolved image URL
+     *  @returns {object} promise of the image, if cached
+     */
+    ImageCache.prototype.get = function (url) {
+        return this._images.hasOwnProperty(url) ? this._images[url] : null;
+    };
+
+    /**
+     *  @public
+     *  @param {string} resolved image URL
+     *  @param {object} promise of the image
+     */
+    ImageCache.prototype.set = function (url, promise) {
+        this._images[url] = promise;
+    };
+
+    /**
+     *  @public
+     *  @param {string} resolved image URL
+     */
+    ImageCache.prototype.remove = function (url) {
+        delete this._images[url];
+    };
+
+    /**
+     *  @public
+     *  Forgets all cached images.
+     */
+    ImageCache.prototype.clear = function () {
+        this._images = {};
+    };
+
+    /**
+     *  Keys an image load in the cache. Only sources given by URL can be
+     *  shared, and images loaded with CORS are different requests from the
+     *  ones loaded without.
+     *
+     *  @param {object} resolved source (see resolveImageSource)
+     *  @returns {string} key, or null if the image cannot be cached
+     */
+    var imageCacheKey = function (resolution) {
+        if (typeof resolution.url !== "string") {
+            return null;
+        }
+        return resolution.crossOrigin ? resolution.crossOrigin + " " + resolution.url : resolution.url;
+    };
+
     /**
      *  Initialize photo generator by adding a photo object and optionally
-     *  an options object hash.
+     *  an options object hash. The backend option decides where the photo is
+     *  drawn and defaults to the browser (see BrowserBackend).
      *
      *  @param {object} photo object
      *  @param {object} options
@@ -17,7 +373,7 @@ define([
 
         this._photo = photo;
 
-        this._config = $.extend({}, {
+        this._config = extend({}, {
             imageWidth: 375,
             imageHeight: 500,
             maxWidth: 120,
@@ -29,376 +385,3127 @@ define([
             verticalSpacing: 4,
             lineHeight: 15,
             fontFamily: "Open Sans",
+            fontFallback: "sans-serif",
             fontSize: 11,
             fontColor: "rgb(54, 54, 54)",
+            fonts: [],
+            fontTimeout: 3000,
+            brandFontFamily: null,
+            brandFontWeight: "bold",
+            brandFontSize: null,
+            sizeFontFamily: null,
+            sizeFontWeight: null,
+            sizeFontSize: null,
             brandWidth: 30,
             brandSpacing: 4,
             watermarkUrl: "https://media.fitbay.com/images/static/logo-transparent.png",
             watermarkWidth: 113,
             watermarkHeight: 51,
-            imageProxyUrl: ""
+            watermarkType: "image",
+            watermarkText: "",
+            watermarkFontFamily: null,
+            watermarkFontWeight: null,
+            watermarkFontSize: 16,
+            watermarkColor: "rgb(255, 255, 255)",
+            watermarkAnchor: "bottom-right",
+            watermarkMarginX: 20,
+            watermarkMarginY: 10,
+            watermarkScale: 0,
+            watermarkOpacity: 1,
+            imageProxyUrl: "",
+            imageProxyEncoder: "base64",
+            imageResolver: null,
+            allowedHosts: [],
+            corsHosts: [],
+            crossOrigin: "anonymous",
+            loadTimeout: 15000,
+            fit: "stretch",
+            fitBackground: "rgb(255, 255, 255)",
+            focalPoint: { x: 0.5, y: 0.5 },
+            brightness: 1,
+            contrast: 1,
+            saturation: 1,
+            vignette: 0,
+            labelDirections: ["south", "north", "east", "west"],
+            labelTemplate: "default",
+            textOverflow: "ellipsis",
+            maxLines: 2,
+            labelBackdrop: "none",
+            labelBackdropPadding: 6,
+            labelBackdropBlur: 8,
+            labelBackdropColor: "rgba(0, 0, 0, 0.3)",
+            labelShadow: false,
+            labelShadowColor: "rgba(0, 0, 0, 0.3)",
+            labelShadowBlur: 6,
+            labelShadowOffsetX: 0,
+            labelShadowOffsetY: 2,
+            labelTheme: null,
+            labelPalettes: {
+                light: {
+                    backgroundColor: "rgba(255, 255, 255, 0.96)",
+                    borderColor: "rgba(153, 153, 153, 0.25)",
+                    fontColor: "rgb(54, 54, 54)"
+                },
+                dark: {
+                    backgroundColor: "rgba(34, 34, 34, 0.92)",
+                    borderColor: "rgba(0, 0, 0, 0.25)",
+                    fontColor: "rgb(245, 245, 245)"
+                }
+            },
+            labelMinContrast: 4.5,
+            tagStyle: "label",
+            pinRadius: 9,
+            legendPosition: "bottom",
+            legendItemWidth: 180,
+            legendItemHeight: 40,
+            legendPadding: 8,
+            legendMaxRows: 4,
+            legendBackground: "rgb(255, 255, 255)",
+            legendMoreText: "+{count} more",
+            backend: null,
+            imageCache: null,
+            fontLoader: null,
+            validation: "strict",
+            labelScale: 1
+        }, options);
+
+        this._backend = this._config.backend || new BrowserBackend();
+
+        //Share images between tags and renders (and photos, if the cache is
+        //shared)
+        this._imageCache = this._config.imageCache || new ImageCache();
+
+        //Fonts are only loaded once for the same reason
+        this._fontLoader = this._config.fontLoader || new FontLoader(this._backend);
+
+        this._handlers = {};
+    };
+
+    PhotoGenerator.Error = PhotoGeneratorError;
+
+    PhotoGenerator.ImageCache = ImageCache;
+
+    /**
+     *  @private
+     *  Merges options leaving out undefined values (see extend), for
+     *  PhotoCollage to merge its defaults like the generator.
+     */
+    PhotoGenerator._extend = extend;
+
+    /**
+     *  @public
+     *  Checks that a photo object has everything the generator needs, before
+     *  any network work is done. Every problem is reported with the path to
+     *  the offending value. In strict mode any problem makes the photo
+     *  invalid. In lenient mode tags with problems are skipped instead, and
+     *  only problems with the photo itself make it invalid.
+     *
+     *  @param {object} photo object
+     *  @param {object} options (mode: strict/lenient, default strict)
+     *  @returns {object} valid (true/false), errors (path and message) and
+     *  skippedTags (indexes of tags to leave out)
+     */
+    PhotoGenerator.validatePhoto = function (photo, options) {
+        options = extend({ mode: "strict" }, options);
+
+        var errors = [],
+            skippedTags = [],
+            photoValid = true;
+
+        var report = function (path, message) {
+            errors.push({
+                path: path,
+                message: path + " " + message
+            });
+            return false;
+        };
+
+        //Image sources are URLs, or anything else the backend can load
+        var isSource = function (value) {
+            return (typeof value === "string" && value !== "") || (typeof value === "object" && value !== null);
+        };
+        var isObject = function (value) {
+            return typeof value === "object" && value !== null;
+        };
+
+        //Checked with the same pick as render, so a version without a URL
+        //falls back to the next one there as well
+        var checkImage = function (image, path, versions) {
+            return versionUrl(image, versions) !== null || report(path, "has no " + versions.join(" or ") + " URL");
+        };
+
+        var checkTag = function (tag, path) {
+            if (!isObject(tag)) {
+                return report(path, "is not an object");
+            }
+
+            var valid = true;
+
+            if (!isObject(tag.product)) {
+                valid = report(path + ".product", "is missing");
+            }
+            else {
+                if (!isObject(tag.product.brand)) {
+                    valid = report(path + ".product.brand", "is missing");
+                }
+                else {
+                    if (typeof tag.product.brand.name !== "string") {
+                        valid = report(path + ".product.brand.name", "is not a string");
+                    }
+                    if (tag.product.brand.logo && !isSource(tag.product.brand.logo.url)) {
+                        valid = report(path + ".product.brand.logo.url", "is missing");
+                    }
+                }
+                if (tag.product.image && !checkImage(tag.product.image, path + ".product.image", ["thumbnail", "original"])) {
+                    valid = false;
+                }
+            }
+
+            if (!isObject(tag.sizes) || typeof tag.sizes.string !== "string") {
+                valid = report(path + ".sizes.string", "is not a string");
+            }
+
+            if (!isObject(tag.position)) {
+                valid = report(path + ".position", "is missing");
+            }
+            else {
+                ["tlc_x", "tlc_y"].forEach(function (key) {
+                    var value = tag.position[key];
+                    if (typeof value !== "number" || !isFinite(value)) {
+                        valid = report(path + ".position." + key, "is not a number");
+                    }
+                    else if (value < 0 || value > 1) {
+                        valid = report(path + ".position." + key, "is outside 0..1");
+                    }
+                });
+            }
+
+            return valid;
+        };
+
+        if (!isObject(photo)) {
+            report("photo", "is not an object");
+            photoValid = false;
+        }
+        else {
+            if (!isObject(photo.versions)) {
+                photoValid = report("versions", "is missing");
+            }
+            else if (!checkImage(photo.versions, "versions", ["large", "original"])) {
+                photoValid = false;
+            }
+
+            if (!Array.isArray(photo.tags)) {
+                photoValid = report("tags", "is not an array");
+            }
+            else {
+                photo.tags.forEach(function (tag, index) {
+                    if (!checkTag(tag, "tags[" + index + "]")) {
+                        skippedTags.push(index);
+                    }
+                });
+            }
+        }
+
+        return {
+            valid: photoValid && (options.mode === "lenient" || !errors.length),
+            errors: errors,
+            skippedTags: options.mode === "lenient" ? skippedTags : []
+        };
+    };
+
+    /**
+     *  @public
+     *  Renders many photos with the same options, at most concurrency of
+     *  them at a time, sharing one image cache between all of them for the
+     *  logos, watermarks and affiliate images they have in common. The main
+     *  image of each photo is dropped from the cache once it is done. The
+     *  onProgress option is called with the result of each photo as it
+     *  completes and the promise resolves with all results once every photo
+     *  is done. It is never rejected: photos that fail to render have an
+     *  error in their result.
+     *
+     *  @param {array} photo objects
+     *  @param {object} options for each generator plus concurrency (default
+     *  4, at least 1), renderOptions passed on to render and onProgress
+     *  @returns {object} promise of the results (index, photo and either the
+     *  generator or the error)
+     */
+    PhotoGenerator.renderBatch = function (photos, options) {
+        options = extend({
+            concurrency: 4,
+            renderOptions: {}
         }, options);
+
+        var config = extend({}, options, { imageCache: options.imageCache || new ImageCache() }),
+            concurrency = Math.max(Math.floor(options.concurrency) || 1, 1),
+            results = [],
+            started = 0,
+            completed = 0;
+
+        //The options of the batch itself are left out of the generators
+        delete config.concurrency;
+        delete config.renderOptions;
+        delete config.onProgress;
+
+        return new Promise(function (resolve) {
+            var complete = function (result) {
+                results[result.index] = result;
+                completed++;
+                if (options.onProgress) {
+                    options.onProgress(result);
+                }
+
+                if (completed === photos.length) {
+                    resolve(results);
+                }
+                else if (started < photos.length) {
+                    start();
+                }
+            };
+
+            //Main images are only drawn by their own photo, keeping them would
+            //make the cache grow with the batch
+            var forget = function (generator, photo) {
+                try {
+                    var key = imageCacheKey(generator.resolveImageSource(versionUrl(photo.versions, ["large", "original"])));
+                    if (key) {
+                        config.imageCache.remove(key);
+                    }
+                }
+                catch (e) {
+                    //Never loaded, nothing to forget
+                }
+            };
+
+            var start = function () {
+                var index = started++,
+                    photo = photos[index],
+                    generator;
+
+                try {
+                    generator = new PhotoGenerator(photo, config);
+                    generator.render(options.renderOptions).then(function () {
+                        forget(generator, photo);
+                        complete({ index: index, photo: photo, generator: generator });
+                    }, function (error) {
+                        forget(generator, photo);
+                        complete({ index: index, photo: photo, error: error });
+                    });
+                }
+                catch (e) {
+                    complete({ index: index, photo: photo, error: e });
+                }
+            };
+
+            if (!photos.length) {
+                resolve(results);
+            }
+            while (started < Math.min(concurrency, photos.length)) {
+                start();
+            }
+        });
+    };
+
+    /**
+     *  Label templates, selected with the labelTemplate option by name (or
+     *  given directly as a list of rows). Each row is drawn on its own line
+     *  and takes its text from a field of the tag (a dotted path, or a
+     *  function receiving the tag) or from fixed text. A row can take the
+     *  font of a role (brand or size, see the brandFont and sizeFont options)
+     *  and set its own fontFamily, fontWeight, fontSize, lineHeight, color,
+     *  textOverflow and maxLines. Rows without any text are left out of the
+     *  label.
+     */
+    PhotoGenerator.templates = {
+        "default": [
+            { field: "product.brand.name", role: "brand" },
+            { field: "sizes.string", role: "size" }
+        ],
+        productPrice: [
+            { field: "product.name", fontWeight: "bold" },
+            { field: "product.price" }
+        ],
+        singleLine: [
+            { field: "product.brand.name", role: "brand" }
+        ],
+        shopNow: [
+            { field: "product.brand.name", role: "brand" },
+            { field: "sizes.string", role: "size" },
+            { text: "Shop now", fontWeight: "bold", color: "rgb(0, 122, 255)" }
+        ]
+    };
+
+    /**
+     *  Output presets for render. A preset overrides any configuration for
+     *  its output, typically the dimensions, fit, watermark placement and the
+     *  labelScale enlarging labels to suit the size of the output.
+     */
+    PhotoGenerator.presets = {
+        instagram: {
+            imageWidth: 1080,
+            imageHeight: 1080,
+            fit: "cover",
+            labelScale: 2.5
+        },
+        instagramPortrait: {
+            imageWidth: 1080,
+            imageHeight: 1350,
+            fit: "cover",
+            labelScale: 2.5
+        },
+        pinterest: {
+            imageWidth: 1000,
+            imageHeight: 1500,
+            fit: "cover",
+            labelScale: 2.5
+        },
+        openGraph: {
+            imageWidth: 1200,
+            imageHeight: 630,
+            fit: "cover",
+            labelScale: 2,
+            watermarkAnchor: "top-right",
+            watermarkMarginY: 20
+        },
+        twitter: {
+            imageWidth: 1200,
+            imageHeight: 675,
+            fit: "cover",
+            labelScale: 2
+        }
+    };
+
+    /**
+     *  Encoders for putting image URLs into imageProxyUrl, picked by name
+     *  with the imageProxyEncoder option (which also takes a function).
+     */
+    PhotoGenerator.urlEncoders = {
+        base64: function (url) {
+            return encodeURIComponent(base64Encode(url));
+        },
+        base64url: function (url) {
+            return base64Encode(url).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+        },
+        uri: function (url) {
+            return encodeURIComponent(url);
+        },
+        none: function (url) {
+            return url;
+        }
+    };
+
+    PhotoGenerator.prototype = {};
+
+    /**
+     *  @public
+     *  Adds a handler for an event of the renders. Handlers are called with
+     *  the generator as this and an object describing the event:
+     *
+     *  resourceLoaded (kind, url, source, tagIndex) for every image loaded.
+     *  resourceFailed (kind, url, tagIndex, error) for every image failing.
+     *  progress (loaded, total, resource) after every image loaded or failed,
+     *  also passed to the onProgress option of render.
+     *  fontReady (loaded, failed: fonts left to fontFallback) once the fonts
+     *  have loaded or fontTimeout has passed.
+     *  beforeImage, afterImage (preset, canvas, context, labelScale, fit)
+     *  around drawing the image, before any watermark or tag.
+     *  beforeTag, afterTag (preset, canvas, context, labelScale, tag, index,
+     *  layout) around drawing each tag, with the geometry of its label or pin
+     *  as layout (x, y: the tag position, labelX, labelY, width, height and
+     *  direction of labels). The context draws in the same units as the
+     *  geometry, so custom overlays can be drawn right at it. These are CSS
+     *  pixels divided by labelScale, which is 1 unless presets or collages
+     *  scale the labels.
+     *
+     *  @param {string} event name
+     *  @param {function} handler
+     *  @returns {object} the generator
+     */
+    PhotoGenerator.prototype.on = function (event, handler) {
+        (this._handlers[event] = this._handlers[event] || []).push(handler);
+
+        return this;
+    };
+
+    /**
+     *  @public
+     *  Removes a handler added with on, or all handlers of the event if no
+     *  handler is given.
+     *
+     *  @param {string} event name
+     *  @param {function} handler (optional)
+     *  @returns {object} the generator
+     */
+    PhotoGenerator.prototype.off = function (event, handler) {
+        if (!handler) {
+            delete this._handlers[event];
+        }
+        else if (this._handlers[event]) {
+            this._handlers[event] = this._handlers[event].filter(function (h) {
+                return h !== handler;
+            });
+        }
+
+        return this;
+    };
+
+    /**
+     *  @private
+     *  Calls the handlers of an event.
+     *
+     *  @param {string} event name
+     *  @param {object} description of the event
+     */
+    PhotoGenerator.prototype._trigger = function (event, data) {
+        //Copy the handlers, a handler may remove itself
+        (this._handlers[event] || []).slice().forEach(function (handler) {
+            handler.call(this, data);
+        }.bind(this));
     };
 
-    PhotoGenerator.prototype = {};
+    /**
+     *  @public
+     *  Initiate rendering of the photo added during initialization. The
+     *  promise is rejected with a PhotoGeneratorError if the photo does not
+     *  pass validation (see validatePhoto) or if the photo or the watermark
+     *  cannot be loaded. Brand logos and affiliate images that fail
+     *  to load are left out of their tags.
+     *
+     *  Several outputs can be created in one go from the same resources by
+     *  giving presets (names from PhotoGenerator.presets, or configuration
+     *  objects with a name). The promise resolves with a result (name,
+     *  canvas, width, height, layout and taintedBy, see isTainted) for each
+     *  preset, keyed by name, or
+     *  for "default" without presets. Pass the name of a preset to the other
+     *  methods to use its photo; they use the last one by default. Outputs
+     *  of earlier renders stay available until a render draws one with the
+     *  same name, so renders of different presets can run at the same time.
+     *
+     *  The onProgress option is called with the progress of loading (see on)
+     *  and the promise has an abort method. Aborting, or aborting the signal
+     *  option (an AbortSignal) or resolving the cancelToken option (any
+     *  promise), stops loading the images no other render is waiting for and
+     *  rejects the promise with a render_aborted error.
+     *
+     *  @param {object} options (pixelRatio: number, retina: true/false,
+     *  outputWidth: exact width of the output in pixels, renderer: canvas/svg,
+     *  presets: array of presets, signal, cancelToken, onProgress)
+     *  @returns {object} promise
+     */
+    PhotoGenerator.prototype.render = function (options) {
+        options = options || {};
+
+        var deferred = defer();
+
+        //Check the photo before loading anything
+        var validation = PhotoGenerator.validatePhoto(this._photo, { mode: this._config.validation });
+        if (!validation.valid) {
+            return Promise.reject(this._invalidPhotoError(validation));
+        }
+
+        //Everything loaded for this render is kept here, never on the photo
+        //object, so several renders can be in progress at the same time
+        var state = {
+            pixelRatio: options.pixelRatio || (options.retina ? 2 : 1),
+            outputWidth: options.outputWidth,
+            renderer: options.renderer || "canvas",
+            outputs: [],
+            img: null,
+            logoImgs: {},
+            //Images of the tags by URL, for redraw
+            tagImgs: {},
+            resources: [],
+            aborted: false,
+            tags: this._photo.tags.map(function (tag, index) {
+                return {
+                    tag: tag,
+                    index: index,
+                    brandLogo: null,
+                    affiliateImage: null
+                };
+            }).filter(function (item) {
+                //Leave out invalid tags in lenient mode
+                return validation.skippedTags.indexOf(item.index) === -1;
+            })
+        };
+
+        if (options.signal && options.signal.aborted) {
+            return Promise.reject(this._abortedError(options.signal.reason));
+        }
+
+        //Determine the outputs to draw, each with the configuration of its
+        //preset (or just the configuration itself without presets)
+        try {
+            state.outputs = (options.presets || [null]).map(this._resolvePreset.bind(this));
+            state.outputs.forEach(function (output, index) {
+                if (state.outputs.slice(0, index).some(function (other) {
+                    return other.name === output.name;
+                })) {
+                    throw new PhotoGeneratorError(
+                        "invalid_preset",
+                        "Preset " + output.name + " is given more than once.",
+                        { preset: output.name }
+                    );
+                }
+            });
+        }
+        catch (e) {
+            return Promise.reject(e);
+        }
+
+        //Every image is loaded through here, to report each image loaded or
+        //failed and to stop loading when aborted. Images the photo can do
+        //without are given as null when they fail. What was loaded is kept
+        //track of, to tell which images taint the canvas.
+        var loads = [],
+            loaded = 0;
+
+        var report = function (resource) {
+            var progress = {
+                loaded: ++loaded,
+                total: loads.length,
+                resource: resource
+            };
+            this._trigger("progress", progress);
+            if (options.onProgress) {
+                options.onProgress(progress);
+            }
+        }.bind(this);
+
+        var load = function (url, details, optional) {
+            var request = this._loadImage(url, details);
+            loads.push(request);
+
+            return request.then(function (result) {
+                if (!state.aborted) {
+                    state.resources.push(result.resource);
+                    this._trigger("resourceLoaded", result.resource);
+                    report(result.resource);
+                }
+                return result.img;
+            }.bind(this), function (error) {
+                if (!state.aborted) {
+                    var resource = {
+                        kind: error.kind,
+                        url: error.url,
+                        tagIndex: error.tagIndex,
+                        error: error
+                    };
+                    this._trigger("resourceFailed", resource);
+                    report(resource);
+                }
+                if (!optional) {
+                    throw error;
+                }
+                return null;
+            }.bind(this));
+        }.bind(this);
+
+        //Load the primary image (select large version and fall back to original)
+        var imgPromise = load(versionUrl(this._photo.versions, ["large", "original"]), {
+            kind: "image"
+        }).then(function (img) {
+            state.img = img;
+        });
+
+        //Load the logos (only needed for image watermarks)
+        var logoPromises = state.outputs.filter(function (output) {
+            return output.config.watermarkType === "image";
+        }).map(function (output) {
+            var url = output.config.watermarkUrl;
+            return load(url, {
+                kind: "watermark"
+            }).then(function (img) {
+                state.logoImgs[url] = img;
+            });
+        });
+
+        //Check for brand logo on a tag (optional, the tag falls back to text)
+        var brandPromises = state.tags.map(function (item) {
+            var url = this._tagImageUrls(item.tag).brandLogo;
+            if (!url) {
+                return null;
+            }
+            return load(url, {
+                kind: "brandLogo",
+                tagIndex: item.index
+            }, true).then(function (img) {
+                item.brandLogo = state.tagImgs[url] = img;
+            });
+        }.bind(this));
+
+        //Check for affiliate image on a tag (optional, the tag is drawn without)
+        var affiliatePromises = state.tags.map(function (item) {
+            var url = this._tagImageUrls(item.tag).affiliateImage;
+            if (!url) {
+                return null;
+            }
+            return load(url, {
+                kind: "affiliateImage",
+                tagIndex: item.index
+            }, true).then(function (img) {
+                item.affiliateImage = state.tagImgs[url] = img;
+            });
+        }.bind(this));
+
+        var abort = function (reason) {
+            if (deferred.settled) {
+                return;
+            }
+            state.aborted = true;
+            deferred.reject(this._abortedError(reason));
+            loads.forEach(function (request) {
+                request.abort();
+            });
+        }.bind(this);
+
+        this._abortOn(options, deferred.promise, abort);
+
+        Promise.all([imgPromise].concat(logoPromises, brandPromises, affiliatePromises))
+            .then(function () {
+                //Start creating the photo
+                return this._doCreate(state);
+            }.bind(this))
+            .then(deferred.resolve, deferred.reject);
+
+        var promise = deferred.promise;
+        promise.abort = abort;
+
+        return promise;
+    };
+
+    /**
+     *  @private
+     *  @param {object} reason the render was aborted for
+     *  @returns {object} PhotoGeneratorError
+     */
+    PhotoGenerator.prototype._abortedError = function (reason) {
+        return new PhotoGeneratorError(
+            "render_aborted",
+            "The render was aborted.",
+            { reason: reason }
+        );
+    };
+
+    /**
+     *  @private
+     *  Aborts a render once the signal or the cancelToken of its options
+     *  says so, no longer listening to the signal after the render settled.
+     *
+     *  @param {object} options of the render (signal, cancelToken)
+     *  @param {object} promise of the render
+     *  @param {function} abort receiving the reason
+     */
+    PhotoGenerator.prototype._abortOn = function (options, promise, abort) {
+        var signal = options.signal;
+
+        if (signal) {
+            var onAbort = function () {
+                abort(signal.reason);
+            };
+            var removeListener = function () {
+                signal.removeEventListener("abort", onAbort);
+            };
+            signal.addEventListener("abort", onAbort);
+            promise.then(removeListener, removeListener);
+        }
+        if (options.cancelToken) {
+            options.cancelToken.then(abort, function () {});
+        }
+    };
+
+    /**
+     *  @public
+     *  Tells which images taint the created photo, so it cannot be exported.
+     *  Images from other origins taint the canvas unless they are loaded
+     *  through the proxy or from a host allowing CORS (see
+     *  resolveImageSource).
+     *
+     *  @param {string} name of the preset (optional)
+     *  @returns {array} tainting resources (kind, url, source: the URL
+     *  loaded, tagIndex for tag images), empty if the photo can be exported
+     */
+    PhotoGenerator.prototype.isTainted = function (preset) {
+        return this._withOutput(preset, function () {
+            return this._taintedBy;
+        });
+    };
+
+    /**
+     *  @public
+     *  Converts the created photo into a base64 encoded jpeg image. This should
+     *  never be called before the render promise has resolved. Throws a
+     *  PhotoGeneratorError if the canvas is tainted (see isTainted) or the
+     *  photo was rendered as SVG (see exportImage to export it).
+     *
+     *  @param {string} name of the preset (optional)
+     *  @returns {string} base64 encoded image data URL
+     */
+    PhotoGenerator.prototype.getImageUrl = function (preset) {
+        return this._withOutput(preset, function () {
+            if (this._renderer === "svg") {
+                throw this._rendererFormatError("jpeg");
+            }
+            if (this._taintedBy.length) {
+                throw this._taintedCanvasError();
+            }
+
+            var imageUrl = this._canvas.toDataURL("image/jpeg");
+
+            imageUrl = imageUrl.replace(/^data:image\/([a-z]+);base64,/, "");
+
+            return imageUrl;
+        });
+    };
+
+    /**
+     *  @public
+     *  Exports the created photo in the requested format. The promise is
+     *  rejected with a PhotoGeneratorError if the browser does not support
+     *  encoding the format (and would silently fall back to PNG) or if the
+     *  canvas has been tainted by a cross-origin image.
+     *
+     *  @param {object} options (format: jpeg/png/webp, or svg for photos
+     *  rendered as SVG, quality: 0-1, type: base64/dataUrl/blob, preset)
+     *  @returns {object} promise
+     */
+    PhotoGenerator.prototype.exportImage = function (options) {
+        if (!this._canvas) {
+            return Promise.reject(new PhotoGeneratorError(
+                "not_rendered",
+                "The photo must be rendered before it can be exported."
+            ));
+        }
+
+        try {
+            return this._withOutput(options && options.preset, function () {
+                return this._exportImage(options);
+            });
+        }
+        catch (e) {
+            return Promise.reject(e);
+        }
+    };
+
+    /**
+     *  @private
+     *  Exports the current photo (see exportImage).
+     *
+     *  @param {object} options of exportImage
+     *  @returns {object} promise
+     */
+    PhotoGenerator.prototype._exportImage = function (options) {
+        var deferred = defer();
+
+        options = extend({
+            format: this._renderer === "svg" ? "svg" : "jpeg",
+            type: "base64"
+        }, options);
+
+        var mimeType = "image/" + options.format;
+
+        if ((options.format === "svg") !== (this._renderer === "svg")) {
+            return Promise.reject(this._rendererFormatError(options.format));
+        }
+        if (options.format === "svg") {
+            return Promise.resolve(this._exportSvg(options.type));
+        }
+        if (["jpeg", "png", "webp"].indexOf(options.format) === -1) {
+            return Promise.reject(new PhotoGeneratorError(
+                "unsupported_format",
+                "Unknown export format " + options.format + ".",
+                { format: options.format }
+            ));
+        }
+        if (this._taintedBy.length) {
+            return Promise.reject(this._taintedCanvasError());
+        }
+
+        try {
+            if (options.type === "blob") {
+                this._backend.toBlob(this._canvas, mimeType, options.quality, function (blob) {
+                    if (!blob) {
+                        deferred.reject(new PhotoGeneratorError(
+                            "export_error",
+                            "The photo could not be encoded as " + mimeType + "."
+                        ));
+                    }
+                    else if (blob.type !== mimeType) {
+                        deferred.reject(this._unsupportedFormatError(mimeType, blob.type));
+                    }
+                    else {
+                        deferred.resolve(blob);
+                    }
+                }.bind(this));
+            }
+            else {
+                var imageUrl = this._canvas.toDataURL(mimeType, options.quality);
+
+                //Browsers fall back to PNG for formats they cannot encode
+                if (imageUrl.indexOf("data:" + mimeType + ";") !== 0) {
+                    deferred.reject(this._unsupportedFormatError(mimeType, imageUrl.replace(/^data:([^;,]*).*$/, "$1")));
+                }
+                else if (options.type === "dataUrl") {
+                    deferred.resolve(imageUrl);
+                }
+                else {
+                    deferred.resolve(imageUrl.replace(/^data:image\/([a-z]+);base64,/, ""));
+                }
+            }
+        }
+        catch (e) {
+            if (e.name === "SecurityError") {
+                deferred.reject(this._taintedCanvasError(e));
+            }
+            else {
+                deferred.reject(new PhotoGeneratorError(
+                    "export_error",
+                    "The photo could not be exported: " + e.message,
+                    { cause: e }
+                ));
+            }
+        }
+
+        return deferred.promise;
+    };
+
+    /**
+     *  @public
+     *  Uploads the created photo to a URL, as multipart form data (with the
+     *  image as fieldName and any extra fields) or as the raw body of the
+     *  request. Uploads failing on the network, timing out or answered with
+     *  a 408, 429 or 5xx status are retried up to retries times, waiting
+     *  retryDelay at first and retryBackoff times longer on every retry. The
+     *  onProgress option is called with the progress of every attempt
+     *  (attempt, loaded and total bytes) and the promise is resolved with the
+     *  response, parsed if it is JSON.
+     *  Failed uploads are rejected with an upload_error and the promise has
+     *  an abort method rejecting it with an upload_aborted error.
+     *
+     *  @param {object} options (url, method, body: multipart/binary,
+     *  fieldName, fileName, fields, headers, withCredentials, timeout,
+     *  retries, retryDelay, retryBackoff, onProgress and format, quality and
+     *  preset for exportImage)
+     *  @returns {object} promise
+     */
+    PhotoGenerator.prototype.upload = function (options) {
+        options = extend({
+            method: "POST",
+            body: "multipart",
+            fieldName: "image",
+            fileName: null,
+            fields: {},
+            headers: {},
+            withCredentials: false,
+            timeout: 0,
+            retries: 2,
+            retryDelay: 1000,
+            retryBackoff: 2
+        }, options);
+
+        var deferred = defer(),
+            attempt = 0,
+            request = null,
+            timer = null;
+
+        var fail = function (code, message, details) {
+            deferred.reject(new PhotoGeneratorError(code, message, extend({
+                url: options.url,
+                attempts: attempt
+            }, details)));
+        };
+
+        var send = function (blob) {
+            var body = blob;
+
+            if (deferred.settled) {
+                //Aborted while exporting
+                return;
+            }
+
+            attempt++;
+            //Requests may throw when opened, given headers or sent and form
+            //data when appended to, on retries as well
+            try {
+                request = this._backend.createRequest();
+                request.open(options.method, options.url, true);
+                request.timeout = options.timeout;
+                request.withCredentials = options.withCredentials;
+                Object.keys(options.headers).forEach(function (name) {
+                    request.setRequestHeader(name, options.headers[name]);
+                });
+
+                if (options.body === "binary") {
+                    if (!options.headers["Content-Type"]) {
+                        request.setRequestHeader("Content-Type", blob.type);
+                    }
+                }
+                else {
+                    body = new FormData();
+                    Object.keys(options.fields).forEach(function (name) {
+                        body.append(name, options.fields[name]);
+                    });
+                    body.append(options.fieldName, blob, options.fileName || "photo." + ({
+                        "image/jpeg": "jpg",
+                        "image/svg+xml": "svg"
+                    }[blob.type] || blob.type.replace(/^image\//, "")));
+                }
+
+                if (request.upload) {
+                    request.upload.onprogress = function (e) {
+                        if (options.onProgress) {
+                            options.onProgress({
+                                attempt: attempt,
+                                loaded: e.loaded,
+                                total: e.lengthComputable ? e.total : blob.size
+                            });
+                        }
+                    };
+                }
+
+                var retry = function () {
+                    if (deferred.settled) {
+                        //Aborted
+                        return;
+                    }
+
+                    var status = request.status;
+                    if ((status === 0 || status === 408 || status === 429 || status >= 500) && attempt <= options.retries) {
+                        timer = setTimeout(function () {
+                            send(blob);
+                        }, options.retryDelay * Math.pow(options.retryBackoff, attempt - 1));
+                        return;
+                    }
+
+                    fail("upload_error", "The photo could not be uploaded" + (status ? " (status " + status + ")." : "."), {
+                        status: status,
+                        response: status ? parseResponse(request) : null
+                    });
+                };
+
+                request.onload = function () {
+                    if (request.status >= 200 && request.status < 300) {
+                        deferred.resolve(parseResponse(request));
+                        return;
+                    }
+                    retry();
+                };
+                request.onerror = retry;
+                request.ontimeout = retry;
+
+                request.send(body);
+            }
+            catch (e) {
+                fail("upload_error", "The photo could not be uploaded: " + e.message, { cause: e });
+            }
+        }.bind(this);
+
+        this.exportImage({
+            format: options.format,
+            quality: options.quality,
+            preset: options.preset,
+            type: "blob"
+        }).then(send, deferred.reject);
+
+        var promise = deferred.promise;
+
+        promise.abort = function () {
+            if (deferred.settled) {
+                return;
+            }
+            fail("upload_aborted", "The upload was aborted.");
+            clearTimeout(timer);
+            if (request) {
+                request.abort();
+            }
+        };
+
+        return promise;
+    };
+
+    /**
+     *  @public
+     *  Describes where each tag ended up on the created photo, in both CSS
+     *  pixels and device pixels of the exported image. Tags cropped out of
+     *  the photo are left out. This should never be called before the render
+     *  promise has resolved.
+     *
+     *  @param {string} name of the preset (optional)
+     *  @returns {array} for each tag: index, productId, direction and the
+     *  label box (x, y, width, height) with the arrow point (arrow.x, arrow.y)
+     *  in css and device pixels. With the pin tag style, the direction is
+     *  "pin", the box is around the pin and the box of the entry in the
+     *  legend is added as legend (if the tag made it into the legend). With
+     *  a label theme, the palette used is given as theme along with the
+     *  contrast ratio of its text (see labelTheme).
+     */
+    PhotoGenerator.prototype.getLayout = function (preset) {
+        return this._withOutput(preset, function () {
+            var scale = this._labelScale,
+                scaleX = this._canvas.width / this._canvasWidth,
+                scaleY = this._canvas.height / this._canvasHeight;
+
+            var rect = function (r, sx, sy) {
+                return {
+                    x: r.x * sx,
+                    y: r.y * sy,
+                    width: r.width * sx,
+                    height: r.height * sy
+                };
+            };
+
+            var box = function (item, sx, sy) {
+                var result = rect({
+                    x: item.labelX,
+                    y: item.labelY,
+                    width: item.width,
+                    height: item.height
+                }, sx, sy);
+
+                result.arrow = {
+                    x: item.x * sx,
+                    y: item.y * sy
+                };
+                if (item.legend) {
+                    result.legend = rect(item.legend, sx, sy);
+                }
+                return result;
+            };
+
+            return this._layout.map(function (item, index) {
+                if (!item) {
+                    return null;
+                }
+                return {
+                    index: this._tags[index].index,
+                    productId: this._tags[index].tag.product.id,
+                    direction: item.direction,
+                    theme: item.theme || null,
+                    contrast: item.contrast || null,
+                    css: box(item, scale, scale),
+                    device: box(item, scaleX, scaleY)
+                };
+            }.bind(this)).filter(function (item) {
+                return item !== null;
+            });
+        });
+    };
+
+    /**
+     *  @public
+     *  Describes the tags as hotspots for overlaying links on the exported
+     *  image. Positions are given in percent of the image, so the hotspots
+     *  stay in place however the image is scaled.
+     *
+     *  @param {object} options (href: function returning the link of a tag,
+     *  defaults to tag.product.url, preset)
+     *  @returns {object} width, height (css pixels) and hotspots (index,
+     *  productId, href, direction, left, top, width, height, arrowX, arrowY
+     *  and the legend entry as legend: left, top, width, height)
+     */
+    PhotoGenerator.prototype.getHotspots = function (options) {
+        options = options || {};
+
+        return this._withOutput(options.preset, function () {
+            var layout = this.getLayout(),
+                width = this._canvasWidth * this._labelScale,
+                height = this._canvasHeight * this._labelScale,
+                href = options.href || function (tag) {
+                    return tag.product.url;
+                };
+
+            return {
+                width: width,
+                height: height,
+                hotspots: layout.map(function (item) {
+                    var legend = item.css.legend;
+
+                    return {
+                        index: item.index,
+                        productId: item.productId,
+                        href: href(this._layoutTag(item)),
+                        direction: item.direction,
+                        left: item.css.x / width * 100,
+                        top: item.css.y / height * 100,
+                        width: item.css.width / width * 100,
+                        height: item.css.height / height * 100,
+                        arrowX: item.css.arrow.x / width * 100,
+                        arrowY: item.css.arrow.y / height * 100,
+                        legend: legend ? {
+                            left: legend.x / width * 100,
+                            top: legend.y / height * 100,
+                            width: legend.width / width * 100,
+                            height: legend.height / height * 100
+                        } : null
+                    };
+                }.bind(this))
+            };
+        });
+    };
+
+    /**
+     *  @public
+     *  Creates an HTML image map linking the label (or the pin and the legend
+     *  entry) of each tag.
+     *
+     *  @param {object} options (name of the map, units: css/device,
+     *  href: function returning the link of a tag, defaults to
+     *  tag.product.url, alt: function returning the alt text of a tag,
+     *  defaults to the brand name, preset)
+     *  @returns {string} HTML map element
+     */
+    PhotoGenerator.prototype.getImageMap = function (options) {
+        options = extend({
+            name: "photo_generator",
+            units: "css",
+            href: function (tag) {
+                return tag.product.url;
+            },
+            alt: function (tag) {
+                return tag.product.brand.name;
+            }
+        }, options);
+
+        var areas = this.getLayout(options.preset).map(function (item) {
+            var tag = this._layoutTag(item),
+                href = options.href(tag);
+
+            return [item[options.units], item[options.units].legend].filter(Boolean).map(function (rect) {
+                var coords = [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height].map(Math.round);
+
+                return "<area shape=\"rect\" coords=\"" + coords.join(",") + "\"" +
+                    (href ? " href=\"" + escapeHtml(href) + "\"" : "") +
+                    " alt=\"" + escapeHtml(options.alt(tag) || "") + "\">";
+            }).join("");
+        }.bind(this));
+
+        return "<map name=\"" + escapeHtml(options.name) + "\">" + areas.join("") + "</map>";
+    };
+
+    /**
+     *  @private
+     *  @param {object} item of the layout (see getLayout)
+     *  @returns {object} tag the item belongs to
+     */
+    PhotoGenerator.prototype._layoutTag = function (item) {
+        //The tags drawn, which differ from those of the photo after a redraw
+        return this._tags.filter(function (drawn) {
+            return drawn.index === item.index;
+        })[0].tag;
+    };
+
+    /**
+     *  @public
+     *  Returns the created photo as an SVG document. Only available when
+     *  rendered with the svg renderer.
+     *
+     *  @param {string} name of the preset (optional)
+     *  @returns {string} SVG markup
+     */
+    PhotoGenerator.prototype.getSvg = function (preset) {
+        return this._withOutput(preset, function () {
+            return this._context.toSvg();
+        });
+    };
+
+    /**
+     *  @private
+     *  Encodes the SVG document in the requested type.
+     *
+     *  @param {string} type (base64/dataUrl/blob)
+     *  @returns {string|object} encoded SVG
+     */
+    PhotoGenerator.prototype._exportSvg = function (type) {
+        var svg = this.getSvg();
+
+        if (type === "blob") {
+            return new Blob([svg], { type: "image/svg+xml" });
+        }
+
+        //Encode as UTF-8 before base64
+        var base64 = base64Encode(svg);
+        return type === "dataUrl" ? "data:image/svg+xml;base64," + base64 : base64;
+    };
+
+    /**
+     *  @private
+     *  Creates the error for a format the renderer cannot produce.
+     *
+     *  @param {string} requested format
+     *  @returns {object} PhotoGeneratorError
+     */
+    PhotoGenerator.prototype._rendererFormatError = function (format) {
+        return new PhotoGeneratorError(
+            "unsupported_format",
+            "Photos rendered with the " + this._renderer + " renderer cannot be exported as " + format + ".",
+            { format: format }
+        );
+    };
+
+    /**
+     *  @private
+     *  Creates the error for a format the browser encoded as something else.
+     *
+     *  @param {string} requested mime type
+     *  @param {string} mime type returned by the browser
+     *  @returns {object} PhotoGeneratorError
+     */
+    PhotoGenerator.prototype._unsupportedFormatError = function (mimeType, actualType) {
+        return new PhotoGeneratorError(
+            "unsupported_format",
+            "This browser cannot encode " + mimeType + " (got " + actualType + " instead).",
+            {
+                format: mimeType,
+                actualFormat: actualType
+            }
+        );
+    };
+
+    /**
+     *  @private
+     *  @param {object} error thrown by the canvas (optional)
+     *  @returns {object} PhotoGeneratorError for exporting a tainted canvas
+     */
+    PhotoGenerator.prototype._taintedCanvasError = function (cause) {
+        var resources = this._taintedBy || [];
+
+        return new PhotoGeneratorError(
+            "tainted_canvas",
+            "The photo cannot be exported because a cross-origin image has tainted the canvas" +
+                (resources.length ? " (" + resources.map(function (resource) {
+                    return resource.kind + " from " + resource.url;
+                }).join(", ") + ")" : "") +
+                ". Load it through imageProxyUrl or from a host allowing CORS (corsHosts).",
+            { resources: resources, cause: cause }
+        );
+    };
+
+    /**
+     *  @private
+     *  Takes an image URL and check whether domains match. If not, it puts the
+     *  image behind a proxy. Sources that are not URLs (e.g. Buffers in Node)
+     *  are returned as they are. See resolveImageSource.
+     *
+     *  @param {string|object} Image URL
+     */
+    PhotoGenerator.prototype.ensureAllowedUrl = function (url) {
+        return this.resolveImageSource(url).url;
+    };
+
+    /**
+     *  @public
+     *  Decides how an image is loaded so it can be drawn without tainting the
+     *  canvas. The imageResolver option gets the first say: it may return a
+     *  resolution (or just a URL) for any URL, or nothing to leave it to
+     *  these rules:
+     *
+     *  data: and blob: URLs, relative URLs, URLs on the same origin and URLs
+     *  on allowedHosts are loaded as they are.
+     *  URLs on corsHosts are loaded with the crossOrigin option, for hosts
+     *  sending CORS headers.
+     *  Other URLs are loaded through imageProxyUrl, with the URL encoded by
+     *  imageProxyEncoder in place of {url} (or added to the end), protocol
+     *  relative URLs with the scheme of the page. Without a proxy they are
+     *  loaded as they are.
+     *
+     *  @param {string|object} Image URL (or any source the backend can load)
+     *  @returns {object} url to load, crossOrigin (or null) and whether
+     *  drawing the image taints the canvas (taints)
+     */
+    PhotoGenerator.prototype.resolveImageSource = function (url) {
+        var config = this._config,
+            direct = {
+                url: url,
+                crossOrigin: null,
+                taints: false
+            };
+
+        if (typeof url !== "string" || url.match(/^(data|blob):/i)) {
+            return direct;
+        }
+
+        if (config.imageResolver) {
+            var resolved = config.imageResolver(url);
+            if (typeof resolved === "string") {
+                return extend(direct, { url: resolved });
+            }
+            if (resolved) {
+                return extend(direct, resolved);
+            }
+        }
+
+        var host = urlHost(url);
+        if (!host || this._backend.isSameOrigin(url) || matchesHost(host, config.allowedHosts)) {
+            return direct;
+        }
+        if (matchesHost(host, config.corsHosts)) {
+            return extend(direct, { crossOrigin: config.crossOrigin });
+        }
+        if (!config.imageProxyUrl) {
+            return extend(direct, { taints: true });
+        }
+
+        var encoder = config.imageProxyEncoder;
+        if (typeof encoder === "string") {
+            if (!PhotoGenerator.urlEncoders[encoder]) {
+                throw new PhotoGeneratorError(
+                    "unknown_encoder",
+                    "Unknown URL encoder " + encoder + ".",
+                    { encoder: encoder }
+                );
+            }
+            encoder = PhotoGenerator.urlEncoders[encoder];
+        }
+
+        //The proxy cannot tell the scheme of a protocol relative URL, so it
+        //gets the one of the page (https outside of http pages)
+        if (url.indexOf("//") === 0) {
+            url = (typeof location !== "undefined" && location.protocol === "http:" ? "http:" : "https:") + url;
+        }
+
+        var encoded = encoder(url);
+        return extend(direct, {
+            url: config.imageProxyUrl.indexOf("{url}") !== -1 ?
+                config.imageProxyUrl.replace("{url}", encoded) :
+                config.imageProxyUrl + encoded
+        });
+    };
+
+    /**
+     *  @private
+     *  Loads an image and resolves with the image element (img) and the
+     *  details of the resource (resource) once loaded. Loads
+     *  of the same URL are shared through the image cache. The promise is
+     *  rejected with a PhotoGeneratorError if the image fails to load or does
+     *  not load within the configured timeout. The image is loaded from where
+     *  resolveImageSource says, which is added to the details of the
+     *  resource (the URL loaded as source and whether the image may taint the
+     *  canvas as taints). The promise has an abort method
+     *  rejecting it with a render_aborted error, which stops loading the
+     *  image unless another load is still waiting for it.
+     *
+     *  @param {string|object} Image URL (or any source the backend can load)
+     *  @param {object} details identifying the resource (kind, tagIndex)
+     *  @returns {object} promise
+     */
+    PhotoGenerator.prototype._loadImage = function (url, details) {
+        var deferred = defer(),
+            timeout = this._config.loadTimeout,
+            cache = this._imageCache,
+            resolution,
+            source,
+            key;
+
+        details = extend({ url: url }, details);
+
+        try {
+            resolution = this.resolveImageSource(url);
+            source = resolution.url;
+        }
+        catch (e) {
+            deferred.reject(new PhotoGeneratorError(
+                "resource_error",
+                "Failed to resolve " + details.kind + " URL " + url + ": " + e.message,
+                details
+            ));
+            deferred.promise.abort = function () {};
+            return deferred.promise;
+        }
+
+        details.source = source;
+        details.taints = resolution.taints;
+        key = imageCacheKey(resolution);
+
+        var load = key ? cache.get(key) : null;
+        if (!load) {
+            load = this._requestImage(source, resolution.crossOrigin);
+            if (key) {
+                cache.set(key, load);
+                //Give failed images another chance next time
+                load.catch(function () {
+                    if (cache.get(key) === load) {
+                        cache.remove(key);
+                    }
+                });
+            }
+        }
+        load.use();
+
+        load.then(function (img) {
+            deferred.resolve({
+                img: img,
+                resource: details
+            });
+        }, function (reason) {
+            if (reason === "timeout") {
+                deferred.reject(new PhotoGeneratorError(
+                    "resource_timeout",
+                    "Timed out loading " + details.kind + " from " + url + " after " + timeout + "ms.",
+                    details
+                ));
+            }
+            else {
+                deferred.reject(new PhotoGeneratorError(
+                    "resource_error",
+                    "Failed to load " + details.kind + " from " + url + ".",
+                    details
+                ));
+            }
+        });
+
+        deferred.promise.abort = function () {
+            if (deferred.settled) {
+                return;
+            }
+            deferred.reject(new PhotoGeneratorError(
+                "render_aborted",
+                "Loading " + details.kind + " from " + url + " was aborted.",
+                details
+            ));
+            load.release();
+        };
+
+        return deferred.promise;
+    };
+
+    /**
+     *  @private
+     *  Requests an image from the backend. Resolves with the image element,
+     *  or rejects with the reason (error, timeout or aborted). Every load
+     *  waiting for the image uses the request, and the request is aborted
+     *  once all of them have released it before the image arrived.
+     *
+     *  @param {string|object} Image URL (or any source the backend can load)
+     *  @param {string} CORS mode of the request (null to load without CORS)
+     *  @returns {object} promise with use and release methods
+     */
+    PhotoGenerator.prototype._requestImage = function (source, crossOrigin) {
+        var deferred = defer(),
+            backend = this._backend,
+            timeout = this._config.loadTimeout,
+            img = backend.createImage(),
+            users = 0,
+            timer;
+
+        img.onload = function () {
+            clearTimeout(timer);
+            deferred.resolve(img);
+        };
+        img.onerror = function () {
+            clearTimeout(timer);
+            deferred.reject("error");
+        };
+
+        if (timeout) {
+            timer = setTimeout(function () {
+                //Ignore the image if it arrives after all
+                img.onload = img.onerror = null;
+                deferred.reject("timeout");
+            }, timeout);
+        }
+
+        //Must be set before loading starts
+        if (crossOrigin) {
+            img.crossOrigin = crossOrigin;
+        }
+
+        try {
+            backend.loadImage(img, source);
+        }
+        catch (e) {
+            clearTimeout(timer);
+            deferred.reject("error");
+        }
+
+        var promise = deferred.promise;
+
+        promise.use = function () {
+            users++;
+        };
+
+        promise.release = function () {
+            users--;
+            if (users || deferred.settled) {
+                return;
+            }
+            clearTimeout(timer);
+            img.onload = img.onerror = null;
+            if (backend.cancelImage) {
+                backend.cancelImage(img);
+            }
+            deferred.reject("aborted");
+        };
+
+        return promise;
+    };
+
+    /**
+     *  @private
+     *  Loads the fonts listed in the fonts option (family, url, weight,
+     *  style) and waits for the families of the labels, the brand and size
+     *  lines and the watermark, giving up after fontTimeout.
+     *
+     *  @param {array} configurations to draw with
+     *  @returns {object} promise resolving with the fonts loaded (loaded)
+     *  and failed (failed)
+     */
+    PhotoGenerator.prototype._loadFonts = function (configs) {
+        var fonts = [],
+            keys = {};
+
+        configs.forEach(function (config) {
+            fonts = fonts.concat(config.fonts, [
+                { family: config.fontFamily },
+                { family: config.fontFamily, weight: "bold" },
+                { family: config.brandFontFamily || config.fontFamily, weight: config.brandFontWeight },
+                { family: config.sizeFontFamily || config.fontFamily, weight: config.sizeFontWeight }
+            ]);
+            if (config.watermarkType === "text") {
+                fonts.push({ family: config.watermarkFontFamily || config.fontFamily, weight: config.watermarkFontWeight });
+            }
+        });
+
+        return this._fontLoader.load(fonts.filter(function (font) {
+            var key = [font.family, font.weight || "normal", font.style || "normal", font.url || ""].join("|");
+            if (keys[key]) {
+                return false;
+            }
+            keys[key] = true;
+            return true;
+        }), this._config.fontTimeout);
+    };
+
+    /**
+     *  @private
+     *  Creates the error rejecting a photo that does not pass validation.
+     *
+     *  @param {object} result of validatePhoto
+     *  @returns {object} PhotoGeneratorError
+     */
+    PhotoGenerator.prototype._invalidPhotoError = function (validation) {
+        return new PhotoGeneratorError(
+            "invalid_photo",
+            "Invalid photo: " + validation.errors.map(function (error) {
+                return error.message;
+            }).join(", ") + ".",
+            { errors: validation.errors }
+        );
+    };
+
+    /**
+     *  @private
+     *  Takes the state of a render with all its resources loaded, creates
+     *  the whole photo (once for each output) and resolves with the results.
+     *  Once the fonts are ready (or timed out) the photo is drawn in one go,
+     *  so renders in progress at the same time never mix; the generator
+     *  shows the last photo drawn. Configuration errors only show up while
+     *  drawing, rejecting the promise.
+     *
+     *  @param {object} render state
+     *  @returns {object} promise
+     */
+    PhotoGenerator.prototype._doCreate = function (state) {
+        return this._loadFonts(state.outputs.map(function (output) {
+            return output.config;
+        })).then(function (fonts) {
+            //Aborted renders are never drawn
+            if (state.aborted) {
+                return null;
+            }
+            this._trigger("fontReady", fonts);
+
+            return this._drawOutputs(state);
+        }.bind(this));
+    };
+
+    /**
+     *  @private
+     *  Draws every output of a render state, keeping the state for redraw.
+     *
+     *  @param {object} render state
+     *  @returns {object} results keyed by the name of each output (see render)
+     */
+    PhotoGenerator.prototype._drawOutputs = function (state) {
+        var results = {};
+
+        //Keep the outputs of other renders, replacing those drawn again
+        this._state = state;
+        this._outputs = extend({}, this._outputs);
+        state.outputs.forEach(function (output) {
+            this._outputs[output.name] = this._drawOutput(state, output);
+            results[output.name] = {
+                name: output.name,
+                canvas: this._canvas,
+                width: this._canvas.width,
+                height: this._canvas.height,
+                layout: this.getLayout(),
+                taintedBy: this._taintedBy
+            };
+        }.bind(this));
+
+        return results;
+    };
+
+    /**
+     *  @public
+     *  Draws the photo again with changed tags (moved, added or removed),
+     *  given as a list of tags in place of those of the photo, which is
+     *  never changed itself. The image, fonts and outputs of the last render
+     *  are used and the images of tags drawn before are reused by URL, so
+     *  nothing is loaded again. The brand logos and affiliate images of new
+     *  tags are loaded in the background, triggering resourceLoaded once
+     *  they are ready to be drawn by the next redraw.
+     *
+     *  @param {array} tags to draw (the tags of the photo if not given)
+     *  @returns {object} results keyed by the name of each output (see render)
+     */
+    PhotoGenerator.prototype.redraw = function (tags) {
+        var state = this._state;
+
+        if (!state) {
+            throw new PhotoGeneratorError(
+                "not_rendered",
+                "The photo must be rendered before it can be redrawn."
+            );
+        }
+
+        tags = tags || this._photo.tags;
+
+        var validation = PhotoGenerator.validatePhoto({
+            versions: this._photo.versions,
+            tags: tags
+        }, { mode: this._config.validation });
+        if (!validation.valid) {
+            throw this._invalidPhotoError(validation);
+        }
+
+        state.tags = tags.map(function (tag, index) {
+            return {
+                tag: tag,
+                index: index
+            };
+        }).filter(function (item) {
+            return validation.skippedTags.indexOf(item.index) === -1;
+        }).map(function (item) {
+            var urls = this._tagImageUrls(item.tag);
+
+            item.brandLogo = this._tagImage(state, urls.brandLogo, "brandLogo", item.index);
+            item.affiliateImage = this._tagImage(state, urls.affiliateImage, "affiliateImage", item.index);
+            return item;
+        }.bind(this));
+
+        return this._drawOutputs(state);
+    };
+
+    /**
+     *  @private
+     *  @param {object} tag
+     *  @returns {object} URLs of the brand logo and affiliate image of the
+     *  tag (brandLogo, affiliateImage), null for those it has not
+     */
+    PhotoGenerator.prototype._tagImageUrls = function (tag) {
+        var logo = tag.product.brand.logo,
+            image = tag.product.image;
+
+        return {
+            brandLogo: logo ? logo.url : null,
+            affiliateImage: image ? versionUrl(image, ["thumbnail", "original"]) : null
+        };
+    };
+
+    /**
+     *  @private
+     *  Finds an image of a tag among those loaded for a render state, or
+     *  starts loading it for the next redraw. Tag images are optional, so
+     *  failures are only reported.
+     *
+     *  @param {object} render state
+     *  @param {string} URL of the image (null for none)
+     *  @param {string} kind of image (brandLogo or affiliateImage)
+     *  @param {integer} index of the tag
+     *  @returns {object} Image element, null if not (yet) loaded
+     */
+    PhotoGenerator.prototype._tagImage = function (state, url, kind, tagIndex) {
+        if (!url) {
+            return null;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(state.tagImgs, url)) {
+            state.tagImgs[url] = null;
+            this._loadImage(url, {
+                kind: kind,
+                tagIndex: tagIndex
+            }).then(function (result) {
+                state.tagImgs[url] = result.img;
+                state.resources.push(result.resource);
+                this._trigger("resourceLoaded", result.resource);
+            }.bind(this), function (error) {
+                this._trigger("resourceFailed", {
+                    kind: error.kind,
+                    url: error.url,
+                    tagIndex: error.tagIndex,
+                    error: error
+                });
+            }.bind(this));
+        }
+
+        return state.tagImgs[url];
+    };
+
+    /**
+     *  @private
+     *  Creates the whole photo with the configuration of one output. The
+     *  label scale enlarges everything drawn over the image by drawing at a
+     *  smaller size with a larger pixel ratio.
+     *
+     *  @param {object} render state
+     *  @param {object} output (name and configuration)
+     *  @returns {object} the drawn output, to select it again later
+     */
+    PhotoGenerator.prototype._drawOutput = function (state, output) {
+        var baseConfig = this._config,
+            config = output.config;
+
+        this._config = config;
+        try {
+            var labelScale = config.labelScale;
+
+            this._pixelRatio = (state.outputWidth ? state.outputWidth / config.imageWidth : state.pixelRatio) * labelScale;
+            this._renderer = state.renderer;
+            this._img = state.img;
+            this._logoImg = state.logoImgs[config.watermarkUrl];
+            this._tags = state.tags;
+            this._labelScale = labelScale;
+            this._width = config.imageWidth / labelScale;
+            this._height = config.imageHeight / labelScale;
+
+            //The legend of pins is added below or beside the photo
+            this._fit = this._calculateFit();
+            this._legend = config.tagStyle === "pin" ? this._layoutLegend() : null;
+            this._canvasWidth = this._width + (this._legend && this._legend.position === "right" ? this._legend.width : 0);
+            this._canvasHeight = this._height + (this._legend && this._legend.position === "bottom" ? this._legend.height : 0);
+
+            this._preset = output.name;
+
+            this._constructCanvas();
+
+            this._trigger("beforeImage", this._hookEvent({ fit: this._fit }));
+            this._constructImage();
+            this._trigger("afterImage", this._hookEvent({ fit: this._fit }));
+
+            this._constructWatermark();
+
+            this._doAddTags();
+
+            this._taintedBy = this._findTaint(state.resources);
+        }
+        finally {
+            this._config = baseConfig;
+        }
+
+        return this._currentOutput();
+    };
+
+    /**
+     *  @private
+     *  Describes an event of the drawing for the handlers (see on).
+     *
+     *  @param {object} details of the event
+     *  @returns {object} the details with the preset, canvas, context and
+     *  labelScale
+     */
+    PhotoGenerator.prototype._hookEvent = function (details) {
+        return extend({
+            preset: this._preset,
+            canvas: this._canvas,
+            context: this._context,
+            labelScale: this._labelScale
+        }, details);
+    };
+
+    /**
+     *  @private
+     *  Runs a function on a drawn output, as if it was the current photo of
+     *  the generator. The current photo (the last drawn) is restored after,
+     *  so looking up a preset never changes what the other methods use by
+     *  default.
+     *
+     *  @param {string} name of the preset (the current photo if not given)
+     *  @param {function} function to run with the generator as this
+     *  @returns {*} whatever the function returns
+     */
+    PhotoGenerator.prototype._withOutput = function (name, fn) {
+        if (!name) {
+            return fn.call(this);
+        }
+
+        var output = this._outputs && this._outputs[name];
+        if (!output) {
+            throw new PhotoGeneratorError(
+                "unknown_preset",
+                "No photo was rendered for preset " + name + ".",
+                { preset: name }
+            );
+        }
+
+        var current = this._currentOutput();
+        this._useOutput(output);
+        try {
+            return fn.call(this);
+        }
+        finally {
+            this._useOutput(current);
+        }
+    };
+
+    /**
+     *  @private
+     *  @returns {object} the current photo, to make it current again later
+     */
+    PhotoGenerator.prototype._currentOutput = function () {
+        return {
+            preset: this._preset,
+            renderer: this._renderer,
+            labelScale: this._labelScale,
+            tags: this._tags,
+            width: this._width,
+            height: this._height,
+            canvasWidth: this._canvasWidth,
+            canvasHeight: this._canvasHeight,
+            img: this._img,
+            fit: this._fit,
+            legend: this._legend,
+            canvas: this._canvas,
+            context: this._context,
+            layout: this._layout,
+            taintedBy: this._taintedBy
+        };
+    };
+
+    /**
+     *  @private
+     *  Makes a drawn output the current photo of the generator.
+     *
+     *  @param {object} output (see _currentOutput)
+     */
+    PhotoGenerator.prototype._useOutput = function (output) {
+        this._preset = output.preset;
+        this._renderer = output.renderer;
+        this._labelScale = output.labelScale;
+        this._tags = output.tags;
+        this._width = output.width;
+        this._height = output.height;
+        this._canvasWidth = output.canvasWidth;
+        this._canvasHeight = output.canvasHeight;
+        this._img = output.img;
+        this._fit = output.fit;
+        this._legend = output.legend;
+        this._canvas = output.canvas;
+        this._context = output.context;
+        this._layout = output.layout;
+        this._taintedBy = output.taintedBy;
+    };
+
+    /**
+     *  @private
+     *  Checks whether the canvas has been tainted by reading a pixel, which
+     *  browsers refuse for tainted canvases. SVGs are never tainted.
+     *
+     *  @param {array} resources drawn on the canvas (see _loadImage)
+     *  @returns {array} resources tainting the canvas, empty if none
+     */
+    PhotoGenerator.prototype._findTaint = function (resources) {
+        if (this._renderer === "svg") {
+            return [];
+        }
+
+        try {
+            this._context.getImageData(0, 0, 1, 1);
+            return [];
+        }
+        catch (e) {
+            if (e.name !== "SecurityError") {
+                return [];
+            }
+        }
+
+        //Blame the images that were expected to taint, or anything loaded
+        //from a URL when the expectation was wrong
+        var suspects = resources.filter(function (resource) {
+            return resource.taints;
+        });
+        return suspects.length ? suspects : resources.filter(function (resource) {
+            return typeof resource.source === "string" && !resource.source.match(/^(data|blob):/i);
+        });
+    };
+
+    /**
+     *  @private
+     *  Turns a preset into an output of a render. Presets are given by name
+     *  (see PhotoGenerator.presets) or as configuration with a name, which
+     *  is required as the results are keyed by it.
+     *
+     *  @param {string|object} preset (null for the plain configuration)
+     *  @returns {object} name and configuration of the output
+     */
+    PhotoGenerator.prototype._resolvePreset = function (preset) {
+        if (!preset) {
+            return {
+                name: "default",
+                config: this._config
+            };
+        }
+
+        var name = preset;
+        if (typeof preset === "string") {
+            preset = PhotoGenerator.presets[name];
+            if (!preset) {
+                throw new PhotoGeneratorError(
+                    "unknown_preset",
+                    "Unknown preset " + name + ".",
+                    { preset: name }
+                );
+            }
+        }
+        else {
+            name = preset.name;
+            if (typeof name !== "string" || !name) {
+                throw new PhotoGeneratorError(
+                    "invalid_preset",
+                    "Presets given as configuration must have a name.",
+                    { preset: preset }
+                );
+            }
+        }
+
+        return {
+            name: name,
+            config: extend({}, this._config, preset)
+        };
+    };
+
+    /**
+     *  @private
+     *  Creates the canvas element going to contain the whole photo (or the
+     *  SVG context standing in for it). Everything is drawn in CSS pixels and
+     *  the context transform scales it to the device pixels of the canvas, so
+     *  the pixel ratio is never applied by hand.
+     */
+    PhotoGenerator.prototype._constructCanvas = function () {
+        var width = Math.round(this._canvasWidth * this._pixelRatio),
+            height = Math.round(this._canvasHeight * this._pixelRatio);
+
+        if (this._renderer === "svg") {
+            //Record the drawing as SVG, measuring text on a real canvas
+            this._context = new SvgContext(width, height, {
+                measureContext: this._backend.createCanvas(1, 1).getContext("2d"),
+                imageHref: this._imageHref.bind(this)
+            });
+            this._canvas = this._context.canvas;
+        }
+        else {
+            //Create canvas element and find its context
+            this._canvas = this._backend.createCanvas(width, height);
+            this._context = this._canvas.getContext("2d");
+        }
+
+        //Scale the context to fill the rounded size
+        this._context.setTransform(width / this._canvasWidth, 0, 0, height / this._canvasHeight, 0, 0);
+    };
+
+    /**
+     *  @private
+     *  Finds the href of an image drawn into an SVG. Images not loaded from a
+     *  URL (e.g. from a Buffer in Node) are embedded as data URLs.
+     *
+     *  @param {object} Image element
+     *  @returns {string} URL of the image
+     */
+    PhotoGenerator.prototype._imageHref = function (img) {
+        if (typeof img.src === "string" && img.src) {
+            return img.src;
+        }
+
+        var canvas = this._backend.createCanvas(img.naturalWidth || img.width, img.naturalHeight || img.height);
+        canvas.getContext("2d").drawImage(img, 0, 0);
+        return canvas.toDataURL("image/png");
+    };
+
+    /**
+     *  @private
+     *  Draws the image onto the canvas according to the fit mode, with the
+     *  brightness, contrast and saturation adjustments and the vignette.
+     */
+    PhotoGenerator.prototype._constructImage = function () {
+        //Fill the bars left around a contained image
+        if (this._config.fit === "contain") {
+            this._context.fillStyle = this._config.fitBackground;
+            this._context.fillRect(0, 0, this._width, this._height);
+        }
+
+        this._drawImage();
+
+        this._constructVignette();
+    };
+
+    /**
+     *  @private
+     *  Draws just the image in its fit, with the adjustments. Contexts
+     *  without the filter property are adjusted pixel by pixel.
+     *
+     *  @param {number} radius to blur the image with (optional, only used
+     *  for backdrops in SVG, see _constructBackdrop)
+     */
+    PhotoGenerator.prototype._drawImage = function (blur) {
+        var fit = this._fit,
+            filter = this._adjustmentFilter();
+
+        if (blur) {
+            filter = (filter ? filter + " " : "") + "blur(" + blur + "px)";
+        }
+
+        this._context.save();
+        if (filter && typeof this._context.filter === "string") {
+            this._context.filter = filter;
+            filter = "";
+        }
+        this._context.drawImage(
+            this._img,
+            fit.sx, fit.sy,
+            fit.sw, fit.sh,
+            fit.dx, fit.dy,
+            fit.dw, fit.dh
+        );
+        this._context.restore();
+
+        if (filter) {
+            this._adjustPixels(fit.dx, fit.dy, fit.dw, fit.dh);
+        }
+    };
+
+    /**
+     *  @private
+     *  @returns {string} CSS filter for the image adjustments, empty if the
+     *  image is not adjusted
+     */
+    PhotoGenerator.prototype._adjustmentFilter = function () {
+        var config = this._config,
+            filter = [];
+
+        if (config.brightness !== 1) {
+            filter.push("brightness(" + config.brightness + ")");
+        }
+        if (config.contrast !== 1) {
+            filter.push("contrast(" + config.contrast + ")");
+        }
+        if (config.saturation !== 1) {
+            filter.push("saturate(" + config.saturation + ")");
+        }
+
+        return filter.join(" ");
+    };
+
+    /**
+     *  @private
+     *  Adjusts the pixels of part of the canvas in JavaScript, for contexts
+     *  that cannot filter while drawing.
+     *
+     *  @param {number} x coordinate
+     *  @param {number} y coordinate
+     *  @param {number} width
+     *  @param {number} height
+     */
+    PhotoGenerator.prototype._adjustPixels = function (x, y, width, height) {
+        var scaleX = this._canvas.width / this._canvasWidth,
+            scaleY = this._canvas.height / this._canvasHeight,
+            left = Math.max(Math.round(x * scaleX), 0),
+            top = Math.max(Math.round(y * scaleY), 0),
+            right = Math.min(Math.round((x + width) * scaleX), this._canvas.width),
+            bottom = Math.min(Math.round((y + height) * scaleY), this._canvas.height),
+            imageData;
+
+        try {
+            imageData = this._context.getImageData(left, top, right - left, bottom - top);
+        }
+        catch (e) {
+            //A tainted canvas cannot be read, it fails when exported instead
+            return;
+        }
+
+        PixelFilters.adjust(imageData, this._config);
+        this._context.putImageData(imageData, left, top);
+    };
+
+    /**
+     *  @private
+     *  Darkens the corners of the image. The vignette option is the opacity
+     *  of the black in the far corners.
+     */
+    PhotoGenerator.prototype._constructVignette = function () {
+        if (!this._config.vignette) {
+            return;
+        }
+
+        var fit = this._fit,
+            x = fit.dx + fit.dw / 2,
+            y = fit.dy + fit.dh / 2,
+            radius = Math.sqrt(fit.dw * fit.dw + fit.dh * fit.dh) / 2,
+            gradient = this._context.createRadialGradient(x, y, radius / 2, x, y, radius);
+
+        gradient.addColorStop(0, "rgba(0, 0, 0, 0)");
+        gradient.addColorStop(1, "rgba(0, 0, 0, " + this._config.vignette + ")");
+        this._context.fillStyle = gradient;
+        this._context.fillRect(fit.dx, fit.dy, fit.dw, fit.dh);
+    };
+
+    /**
+     *  @private
+     *  Calculates which part of the image to draw where, based on the fit
+     *  mode. "stretch" draws the whole image onto the whole photo, "cover"
+     *  crops the image to fill the photo keeping the focal point as close to
+     *  the center as possible and "contain" fits the whole image inside the
+     *  photo.
+     *
+     *  @returns {object} source (sx, sy, sw, sh) and destination (dx, dy, dw,
+     *  dh) rectangles
+     */
+    PhotoGenerator.prototype._calculateFit = function () {
+        var imgWidth = this._img.naturalWidth || this._img.width,
+            imgHeight = this._img.naturalHeight || this._img.height,
+            focal = extend({ x: 0.5, y: 0.5 }, this._config.focalPoint),
+            fit = {
+                sx: 0,
+                sy: 0,
+                sw: imgWidth,
+                sh: imgHeight,
+                dx: 0,
+                dy: 0,
+                dw: this._width,
+                dh: this._height
+            },
+            scale;
+
+        //Partial or broken focal points fall back to the center per axis
+        ["x", "y"].forEach(function (axis) {
+            var value = Number(focal[axis]);
+            focal[axis] = isFinite(value) ? Math.min(Math.max(value, 0), 1) : 0.5;
+        });
+
+        if (this._config.fit === "cover") {
+            scale = Math.max(this._width / imgWidth, this._height / imgHeight);
+            fit.sw = this._width / scale;
+            fit.sh = this._height / scale;
+            //Center crop on focal point without going past the image edges
+            fit.sx = Math.min(Math.max(focal.x * imgWidth - fit.sw / 2, 0), imgWidth - fit.sw);
+            fit.sy = Math.min(Math.max(focal.y * imgHeight - fit.sh / 2, 0), imgHeight - fit.sh);
+        }
+        else if (this._config.fit === "contain") {
+            scale = Math.min(this._width / imgWidth, this._height / imgHeight);
+            fit.dw = imgWidth * scale;
+            fit.dh = imgHeight * scale;
+            fit.dx = (this._width - fit.dw) / 2;
+            fit.dy = (this._height - fit.dh) / 2;
+        }
+
+        return fit;
+    };
+
+    /**
+     *  @private
+     *  Maps a tag position on the source image to coordinates on the photo,
+     *  through the same transform used to draw the image.
+     *
+     *  @param {object} tag position (tlc_x, tlc_y)
+     *  @returns {object} coordinates (x, y) or null if cropped away
+     */
+    PhotoGenerator.prototype._mapPosition = function (position) {
+        var fit = this._fit,
+            srcX = position.tlc_x * (this._img.naturalWidth || this._img.width),
+            srcY = position.tlc_y * (this._img.naturalHeight || this._img.height);
+
+        if (srcX < fit.sx || srcX > fit.sx + fit.sw || srcY < fit.sy || srcY > fit.sy + fit.sh) {
+            return null;
+        }
+
+        return {
+            x: fit.dx + (srcX - fit.sx) * fit.dw / fit.sw,
+            y: fit.dy + (srcY - fit.sy) * fit.dh / fit.sh
+        };
+    };
+
+    /**
+     *  @private
+     *  Maps coordinates on the photo back to a tag position on the source
+     *  image, the inverse of _mapPosition. Coordinates outside the photo are
+     *  moved to its nearest edge.
+     *
+     *  @param {object} coordinates (x, y)
+     *  @returns {object} tag position (tlc_x, tlc_y)
+     */
+    PhotoGenerator.prototype._unmapPosition = function (point) {
+        var fit = this._fit,
+            x = Math.min(Math.max(point.x, fit.dx), fit.dx + fit.dw),
+            y = Math.min(Math.max(point.y, fit.dy), fit.dy + fit.dh);
+
+        return {
+            tlc_x: (fit.sx + (x - fit.dx) * fit.sw / fit.dw) / (this._img.naturalWidth || this._img.width),
+            tlc_y: (fit.sy + (y - fit.dy) * fit.sh / fit.dh) / (this._img.naturalHeight || this._img.height)
+        };
+    };
+
+    /**
+     *  @private
+     *  Draws the watermark onto the canvas, either the logo or a text in the
+     *  configured font.
+     */
+    PhotoGenerator.prototype._constructWatermark = function () {
+        var rect = this._watermarkRect();
+        if (!rect) {
+            return;
+        }
+
+        this._context.save();
+        this._context.globalAlpha = this._config.watermarkOpacity;
+        if (this._config.watermarkType === "text") {
+            this._setFont({
+                fontFamily: this._config.watermarkFontFamily,
+                fontWeight: this._config.watermarkFontWeight,
+                fontSize: rect.fontSize,
+                color: this._config.watermarkColor
+            });
+            this._context.textBaseline = "middle";
+            this._context.fillText(this._config.watermarkText, rect.x, rect.y + rect.height / 2);
+        }
+        else {
+            this._context.drawImage(this._logoImg, rect.x, rect.y, rect.width, rect.height);
+        }
+        this._context.restore();
+    };
+
+    /**
+     *  @private
+     *  Calculates the area covered by the watermark. The watermark keeps its
+     *  configured size, unless watermarkScale sets its width relative to the
+     *  width of the photo, and is placed in the anchor corner (or center)
+     *  inset by the margins.
+     *
+     *  @returns {object} rectangle (x, y, width, height and fontSize for
+     *  text watermarks) or null if there is no watermark
+     */
+    PhotoGenerator.prototype._watermarkRect = function () {
+        var type = this._config.watermarkType,
+            anchor = this._config.watermarkAnchor,
+            scale = this._config.watermarkScale,
+            width = this._config.watermarkWidth,
+            height = this._config.watermarkHeight,
+            fontSize = this._config.watermarkFontSize;
+
+        if (type === "none" || (type === "text" && !this._config.watermarkText)) {
+            return null;
+        }
+
+        if (type === "text") {
+            this._setFont({
+                fontFamily: this._config.watermarkFontFamily,
+                fontWeight: this._config.watermarkFontWeight,
+                fontSize: fontSize
+            });
+            width = this._context.measureText(this._config.watermarkText).width;
+            if (scale) {
+                fontSize *= this._width * scale / width;
+                width = this._width * scale;
+            }
+            height = fontSize * 1.2;
+        }
+        else if (scale) {
+            height *= this._width * scale / width;
+            width = this._width * scale;
+        }
+
+        var x = this._width - width - this._config.watermarkMarginX,
+            y = this._height - height - this._config.watermarkMarginY;
+        if (anchor === "center") {
+            x = (this._width - width) / 2;
+            y = (this._height - height) / 2;
+        }
+        else {
+            if (anchor.indexOf("left") !== -1) {
+                x = this._config.watermarkMarginX;
+            }
+            if (anchor.indexOf("top") !== -1) {
+                y = this._config.watermarkMarginY;
+            }
+        }
+
+        return {
+            x: x,
+            y: y,
+            width: width,
+            height: height,
+            fontSize: fontSize
+        };
+    };
+
+    /**
+     *  @private
+     *  Makes the calculations and draws each tag onto the canvas.
+     */
+    PhotoGenerator.prototype._doAddTags = function () {
+        var config = this._config,
+            arrowSize = config.arrowSize,
+            layout = this._layoutTags();
+
+        //Keep the layout around for getLayout
+        this._layout = layout;
+
+        this._chooseThemes();
+
+        if (this._config.tagStyle === "pin") {
+            this._doAddPins();
+            return;
+        }
+
+        this._tags.forEach(function (item, index) {
+            if (!layout[index]) {
+                //Tag has been cropped away
+                return;
+            }
+
+            //Draw with the palette chosen for the tag
+            this._config = layout[index].palette ? extend({}, config, layout[index].palette) : config;
+
+            var tag = item.tag,
+                hookEvent = this._hookEvent({ tag: tag, index: item.index, layout: layout[index] }),
+                bg = this._config.backgroundColor,
+                border = this._config.borderColor,
+                rows = layout[index].rows,
+                direction = layout[index].direction,
+                x = layout[index].x,
+                y = layout[index].y,
+                anchor = { x: layout[index].anchorX, y: layout[index].anchorY },
+                labelX = layout[index].labelX,
+                labelY = layout[index].labelY,
+                width = layout[index].width,
+                height = layout[index].height;
+
+            this._trigger("beforeTag", hookEvent);
+
+            this._constructBackdrop(labelX, labelY, width, height);
+            if (this._config.labelShadow) {
+                this._constructShadow(direction, x, y, labelX, labelY, width, height, anchor);
+            }
+
+            //Create label and arrow (border arrow is pushed one pixel out)
+            var pushX = direction === "east" ? -1 : direction === "west" ? 1 : 0,
+                pushY = direction === "south" ? -1 : direction === "north" ? 1 : 0;
+            this._constructArrow(direction, x + pushX, y + pushY, arrowSize, border, {
+                x: anchor.x + pushX,
+                y: anchor.y + pushY
+            });
+            this._constructLabel(labelX, labelY, width, height, bg, border);
+            this._constructArrow(direction, x, y, arrowSize - 1, bg, anchor);
+
+            var labelSpacing = this._config.horizontalSpacing;
+            //Add brand logo to tag
+            if (item.brandLogo) {
+                this._context.save();
+                //Use clip to cut corners off of affiliate image
+                this._constructLabel(labelX, labelY, width, height);
+                this._context.clip();
+                this._constructBrandLogo(item.brandLogo, labelX, labelY, this._config.brandWidth, height, tag.product.brand.logo.prevail_hex);
+                this._context.restore();
+                //Push spacing to allow place for image
+                labelSpacing += this._config.brandWidth + this._config.brandSpacing * 2;
+
+                //Add separator line
+                this._constructSeparator(labelX + this._config.brandWidth + this._config.brandSpacing * 2, labelY, height);
+            }
+            //Add affiliate img to tag
+            if (item.affiliateImage) {
+                this._context.save();
+                //Use clip to cut corners off of affiliate image
+                this._constructLabel(labelX, labelY, width, height);
+                this._context.clip();
+                this._constructAffiliateImage(item.affiliateImage, labelX, labelY, height, width);
+                this._context.restore();
+
+                //Add separator line
+                this._constructSeparator(labelX + (width - height), labelY, height);
+            }
+
+            //Create label text, each line on its baseline
+            var textWidth = width - labelSpacing - this._config.horizontalSpacing,
+                lineY = labelY;
+            if (item.affiliateImage) {
+                textWidth -= height;
+            }
+            rows.forEach(function (row) {
+                this._setFont(row);
+                row.lines.forEach(function (line) {
+                    lineY += row.lineHeight;
+                    this._constructText(labelX + labelSpacing, lineY, line, textWidth, row.rtl);
+                }.bind(this));
+            }.bind(this));
+
+            this._trigger("afterTag", hookEvent);
+        }.bind(this));
+
+        this._config = config;
+    };
+
+    /**
+     *  @private
+     *  Picks the palette of each tag by the labelTheme option: the name of a
+     *  palette in labelPalettes, or "auto" to pick one for each tag by the
+     *  photo behind its label and arrow. Auto picks the palette standing out
+     *  most from the photo among those with text contrasting enough with the
+     *  label (labelMinContrast, 4.5 is the WCAG AA level for normal text).
+     *  Without a theme the colors of the configuration are used.
+     */
+    PhotoGenerator.prototype._chooseThemes = function () {
+        var theme = this._config.labelTheme,
+            palettes = this._config.labelPalettes,
+            source = null;
+
+        if (!theme) {
+            return;
+        }
+        if (theme !== "auto" && !palettes[theme]) {
+            throw new PhotoGeneratorError(
+                "unknown_theme",
+                "Unknown label theme " + theme + ".",
+                { theme: theme }
+            );
+        }
+
+        this._layout.forEach(function (item) {
+            if (!item) {
+                return;
+            }
+
+            //Photos that cannot be read are taken to be white
+            source = source || this._pixelSource();
+            var behind = this._averageColor(source, this._tagBounds(item)) || { r: 255, g: 255, b: 255, a: 1 },
+                name = theme === "auto" ? this._pickPalette(behind) : theme;
+
+            item.theme = name;
+            item.palette = palettes[name];
+            item.contrast = this._paletteContrast(palettes[name], behind).text;
+        }.bind(this));
+    };
+
+    /**
+     *  @private
+     *  Picks the palette for a label in front of a color (see _chooseThemes).
+     *
+     *  @param {object} color behind the label (r, g, b)
+     *  @returns {string} name of the palette
+     */
+    PhotoGenerator.prototype._pickPalette = function (behind) {
+        var minContrast = this._config.labelMinContrast,
+            palettes = this._config.labelPalettes,
+            best = null;
+
+        Object.keys(palettes).forEach(function (name) {
+            var contrast = this._paletteContrast(palettes[name], behind),
+                readable = contrast.text >= minContrast,
+                //Unreadable palettes are only compared by their text
+                score = readable ? contrast.label : contrast.text;
+
+            if (!best || (readable && !best.readable) || (readable === best.readable && score > best.score)) {
+                best = {
+                    name: name,
+                    readable: readable,
+                    score: score
+                };
+            }
+        }.bind(this));
+
+        return best.name;
+    };
 
     /**
-     *  @public
-     *  Initiate rendering of the photo added during initialization.
+     *  @private
+     *  Calculates the contrast of a palette in front of a color.
      *
-     *  @param {object} options (retina: true/false)
-     *  @returns {object} jQuery promise
+     *  @param {object} palette (backgroundColor, fontColor)
+     *  @param {object} color behind the label (r, g, b)
+     *  @returns {object} contrast ratios of the text with the label (text)
+     *  and of the label with the color behind it (label)
      */
-    PhotoGenerator.prototype.render = function (options) {
-        options = options || {};
-
-        //Determine whether to do retina or not
-        delete this._retina;
-        if (options.retina) {
-            this._retina = true;
+    PhotoGenerator.prototype._paletteContrast = function (palette, behind) {
+        var background = parseColor(palette.backgroundColor),
+            font = parseColor(palette.fontColor);
+
+        if (!background || !font) {
+            //Colors that cannot be parsed cannot be judged
+            return {
+                text: 1,
+                label: 1
+            };
         }
 
-        var promise = $.Deferred();
-
-        var imgPromise = $.Deferred(),
-            logoPromise = $.Deferred(),
-            brandPromise = $.Deferred(),
-            affiliatePromise = $.Deferred();
-
-        $.when(imgPromise, logoPromise, brandPromise, affiliatePromise)
-            .done($.proxy(function () {
-                //Start creating the photo
-                this._doCreate(promise);
-            }, this))
-            .fail(function () {
-                throw new Error("An error occurred preparing resources for the photo.");
-            });
+        var label = blendColors(background, behind);
 
-        //Load the primary image and continue afterwards
-        this._img = new Image();
-        this._img.onload = function () {
-            imgPromise.resolve();
-        };
-        //Select large version and fall back to original
-        var image = this._photo.versions;
-        this._img.src = this.ensureAllowedUrl(image.large ? image.large.url : image.original.url);
-
-        //Load the logo
-        this._logoImg = new Image();
-        this._logoImg.onload = function () {
-            //Indicate logo image ready
-            logoPromise.resolve();
+        return {
+            text: contrastRatio(blendColors(font, label), label),
+            label: contrastRatio(label, behind)
         };
-        this._logoImg.src = this.ensureAllowedUrl(this._config.watermarkUrl);
-
-        //Check for brand logo on a tag
-        var brandPromises = [];
-        this._photo.tags.forEach($.proxy(function (tag) {
-            var promise = $.Deferred();
-            brandPromises.push(promise);
-            var logo = tag.product.brand.logo;
-            if (logo) {
-                //Load the affiliate image and continue afterwards
-                var logoImg = new Image();
-                logoImg.onload = function () {
-                    //Indicate affiliate image ready
-                    promise.resolve();
-                };
-                logoImg.src = this.ensureAllowedUrl(logo.url);
-                //Save image on tag
-                tag.product.brand.el = logoImg;
-            }
-            else {
-                promise.resolve();
-            }
-        }, this));
-        $.when.apply(this, brandPromises).done(function () {
-            brandPromise.resolve();
-        });
+    };
 
-        //Check for affiliate image on a tag
-        var affiliatePromises = [];
-        this._photo.tags.forEach($.proxy(function (tag) {
-            var promise = $.Deferred();
-            affiliatePromises.push(promise);
-            var image = tag.product.image;
-            if (image) {
-                //Load the affiliate image and continue afterwards
-                var affiliateImg = new Image();
-                affiliateImg.onload = function () {
-                    //Indicate affiliate image ready
-                    promise.resolve();
-                };
-                affiliateImg.src = this.ensureAllowedUrl(image.thumbnail ? image.thumbnail.url : image.original.url);
-                //Save image on tag
-                tag.product.image.el = affiliateImg;
-            }
-            else {
-                promise.resolve();
-            }
-        }, this));
-        $.when.apply(this, affiliatePromises).done(function () {
-            affiliatePromise.resolve();
-        });
+    /**
+     *  @private
+     *  @param {object} layout of a tag
+     *  @returns {object} rectangle around the label (or pin) and the arrow
+     */
+    PhotoGenerator.prototype._tagBounds = function (item) {
+        var x = Math.min(item.labelX, item.x),
+            y = Math.min(item.labelY, item.y);
 
-        return promise;
+        return {
+            x: x,
+            y: y,
+            width: Math.max(item.labelX + item.width, item.x) - x,
+            height: Math.max(item.labelY + item.height, item.y) - y
+        };
     };
 
     /**
-     *  @public
-     *  Converts the created photo into a base64 encoded jpeg image. This should
-     *  never be called before the render promise has resolved.
+     *  @private
+     *  Finds the context to read the pixels of the photo from. That is the
+     *  canvas itself, or a canvas with just the image for SVGs.
      *
-     *  @returns {string} base64 encoded image data URL
+     *  @returns {object} context with its size (width, height) and scale
+     *  from CSS pixels (scaleX, scaleY)
      */
-    PhotoGenerator.prototype.getImageUrl = function () {
-        var imageUrl = this._canvas.toDataURL("image/jpeg");
+    PhotoGenerator.prototype._pixelSource = function () {
+        if (this._renderer !== "svg") {
+            return {
+                context: this._context,
+                width: this._canvas.width,
+                height: this._canvas.height,
+                scaleX: this._canvas.width / this._canvasWidth,
+                scaleY: this._canvas.height / this._canvasHeight
+            };
+        }
 
-        imageUrl = imageUrl.replace(/^data:image\/([a-z]+);base64,/, "");
+        var fit = this._fit,
+            canvas = this._backend.createCanvas(Math.ceil(this._width), Math.ceil(this._height)),
+            context = canvas.getContext("2d");
 
-        return imageUrl;
+        context.drawImage(this._img, fit.sx, fit.sy, fit.sw, fit.sh, fit.dx, fit.dy, fit.dw, fit.dh);
+
+        return {
+            context: context,
+            width: canvas.width,
+            height: canvas.height,
+            scaleX: 1,
+            scaleY: 1
+        };
     };
 
     /**
      *  @private
-     *  Takes an image URL and check whether domains match. If not, it puts the
-     *  image behind a proxy.
+     *  Calculates the average color of part of the photo.
      *
-     *  @param {string} Image URL
+     *  @param {object} pixel source (see _pixelSource)
+     *  @param {object} rectangle (x, y, width, height)
+     *  @returns {object} color (r, g, b, a) or null if it cannot be read
      */
-    PhotoGenerator.prototype.ensureAllowedUrl = function (url) {
-        if (!url.match(new RegExp("^" + window.location.protocol + "//" + window.location.host, "i")) && this._config.imageProxyUrl) {
-            url = this._config.imageProxyUrl + encodeURIComponent(btoa(url));
+    PhotoGenerator.prototype._averageColor = function (source, rect) {
+        var left = Math.max(Math.floor(rect.x * source.scaleX), 0),
+            top = Math.max(Math.floor(rect.y * source.scaleY), 0),
+            right = Math.min(Math.ceil((rect.x + rect.width) * source.scaleX), source.width),
+            bottom = Math.min(Math.ceil((rect.y + rect.height) * source.scaleY), source.height),
+            sum = { r: 0, g: 0, b: 0 },
+            data, i;
+
+        if (right <= left || bottom <= top) {
+            return null;
+        }
+
+        try {
+            data = source.context.getImageData(left, top, right - left, bottom - top).data;
+        }
+        catch (e) {
+            //A tainted canvas cannot be read
+            return null;
+        }
+
+        for (i = 0; i < data.length; i += 4) {
+            sum.r += data[i];
+            sum.g += data[i + 1];
+            sum.b += data[i + 2];
         }
-        return url;
+
+        return {
+            r: sum.r / (data.length / 4),
+            g: sum.g / (data.length / 4),
+            b: sum.b / (data.length / 4),
+            a: 1
+        };
     };
 
     /**
      *  @private
-     *  Takes a promise, creates the whole photo and resolves that promise.
+     *  Calculates where to put the label of every tag before anything is
+     *  drawn. All tags are considered together: each label is given the
+     *  direction (south, north, east or west of its arrow) and offset that
+     *  overlaps the least with the other labels, the tag positions and the
+     *  watermark while staying within the inactive margin. The arrow always
+     *  points at the tag position.
      *
-     *  @param {object} jQuery promise
+     *  @returns {array} layout for each tag (x, y, anchorX, anchorY: where
+     *  the arrow meets the label, labelX, labelY, width, height, direction
+     *  and text rows) or null for tags cropped out of the photo
      */
-    PhotoGenerator.prototype._doCreate = function (promise) {
-        this._width = this._config.imageWidth;
-        this._height = this._config.imageHeight;
+    PhotoGenerator.prototype._layoutTags = function () {
+        var inactive = this._config.inactiveMargin,
+            watermark = this._watermarkRect();
 
-        this._constructCanvas();
+        if (this._config.tagStyle === "pin") {
+            return this._layoutPins();
+        }
 
-        this._constructImage();
+        //Measure labels and find the point of each arrow
+        var layout = this._tags.map(function (item) {
+            var point = this._mapPosition(item.tag.position);
+            if (!point) {
+                //Tag has been cropped away
+                return null;
+            }
 
-        this._constructWatermark();
+            var dimensions = this._calculcateDimensions(this._labelRows(item.tag)),
+                width = dimensions.width,
+                height = dimensions.height;
+            if (item.brandLogo) {
+                width += this._config.brandWidth + this._config.brandSpacing * 2;
+            }
+            if (item.affiliateImage) {
+                width += height;
+            }
 
-        FontDetect.onFontLoaded(this._config.fontFamily, $.proxy(function () {
-            this._doAddTags();
+            //The arrow points right at the tag, only the label is kept within
+            //bounds by anchoring it to the nearest point inside them
+            return {
+                x: point.x,
+                y: point.y,
+                anchorX: Math.min(Math.max(point.x, inactive), this._width - inactive),
+                anchorY: Math.min(Math.max(point.y, inactive), this._height - inactive),
+                width: width,
+                height: height,
+                rows: dimensions.rows
+            };
+        }.bind(this));
+
+        //Place labels one by one, then revisit each of them now that the
+        //others are known until nothing moves
+        var placed = [];
+        for (var pass = 0; pass < 4; pass++) {
+            var moved = false;
+
+            layout.forEach(function (item, index) {
+                if (!item) {
+                    return;
+                }
+
+                var obstacles = watermark ? [watermark] : [];
+                layout.forEach(function (other, otherIndex) {
+                    if (!other || otherIndex === index) {
+                        return;
+                    }
+                    //Keep clear of the spot each tag points at
+                    obstacles.push({
+                        x: other.x - inactive / 2,
+                        y: other.y - inactive / 2,
+                        width: inactive,
+                        height: inactive
+                    });
+                    if (placed[otherIndex]) {
+                        obstacles.push({
+                            x: other.labelX,
+                            y: other.labelY,
+                            width: other.width,
+                            height: other.height
+                        });
+                    }
+                });
+
+                var best = this._placeLabel(item, obstacles);
+                if (best.direction !== item.direction || best.labelX !== item.labelX || best.labelY !== item.labelY) {
+                    item.direction = best.direction;
+                    item.labelX = best.labelX;
+                    item.labelY = best.labelY;
+                    moved = true;
+                }
+                placed[index] = true;
+            }.bind(this));
+
+            if (!moved) {
+                break;
+            }
+        }
 
-            promise.resolve();
-        }, this));
+        return layout;
     };
 
     /**
      *  @private
-     *  Creates the canvas element going to contain the whole photo.
+     *  Calculates where to put the pin of every tag. Pins sit right on the
+     *  tag position (kept just inside the photo) and are numbered in the
+     *  order of the tags, skipping tags cropped out of the photo.
+     *
+     *  @returns {array} layout for each tag (x, y, labelX, labelY, width and
+     *  height of the pin, its number and its legend entry) or null for tags
+     *  cropped out of the photo
      */
-    PhotoGenerator.prototype._constructCanvas = function () {
-        var width = this._width * (this._retina ? 2 : 1),
-            height = this._height * (this._retina ? 2 : 1);
+    PhotoGenerator.prototype._layoutPins = function () {
+        var radius = this._config.pinRadius,
+            entries = {},
+            number = 0;
+
+        this._legend.entries.forEach(function (entry) {
+            entries[entry.number] = entry;
+        });
 
-        //Create canvas element
-        this._canvas = document.createElement("canvas");
-        this._canvas.setAttribute("id", "photo_generator");
-        this._canvas.width = width;
-        this._canvas.height = height;
+        return this._tags.map(function (item) {
+            var point = this._mapPosition(item.tag.position);
+            if (!point) {
+                //Tag has been cropped away
+                return null;
+            }
 
-        //Find context of canvas element
-        this._context = this._canvas.getContext("2d");
+            var x = Math.min(Math.max(point.x, radius + 1), this._width - radius - 1),
+                y = Math.min(Math.max(point.y, radius + 1), this._height - radius - 1),
+                entry = entries[++number];
+
+            return {
+                x: x,
+                y: y,
+                labelX: x - radius,
+                labelY: y - radius,
+                width: radius * 2,
+                height: radius * 2,
+                direction: "pin",
+                number: number,
+                legend: entry ? {
+                    x: entry.x,
+                    y: entry.y,
+                    width: entry.width,
+                    height: entry.height
+                } : null
+            };
+        }.bind(this));
     };
 
     /**
      *  @private
-     *  Draws the image onto the canvas.
+     *  Calculates the legend listing the pinned tags, below the photo or to
+     *  the right of it (legendPosition). Entries are laid out in as many
+     *  columns as fit and the legend grows by a row at a time up to
+     *  legendMaxRows (a legend to the right never grows beyond the photo).
+     *  When there are more tags than fit, the last place says how many more
+     *  there are instead.
+     *
+     *  @returns {object} position, x, y, width and height of the legend, its
+     *  entries (tag, number, x, y, width, height) and more (with the number
+     *  of tags left out)
      */
-    PhotoGenerator.prototype._constructImage = function () {
-        var width = this._width * (this._retina ? 2 : 1),
-            height = this._height * (this._retina ? 2 : 1);
+    PhotoGenerator.prototype._layoutLegend = function () {
+        var config = this._config,
+            padding = config.legendPadding,
+            itemHeight = config.legendItemHeight,
+            right = config.legendPosition === "right",
+            maxRows = config.legendMaxRows || Infinity,
+            legend = {
+                position: right ? "right" : "bottom",
+                x: right ? this._width : 0,
+                y: right ? 0 : this._height,
+                entries: [],
+                more: null
+            };
+
+        var tags = this._tags.filter(function (item) {
+            return !!this._mapPosition(item.tag.position);
+        }.bind(this));
+
+        var columns = 1,
+            itemWidth = config.legendItemWidth;
+        if (right) {
+            maxRows = Math.max(Math.min(maxRows, Math.floor((this._height - padding * 2) / itemHeight)), 1);
+            legend.width = itemWidth + padding * 2;
+        }
+        else {
+            columns = Math.max(Math.floor((this._width - padding * 2) / itemWidth), 1);
+            itemWidth = (this._width - padding * 2) / columns;
+            legend.width = this._width;
+        }
 
-        this._context.drawImage(this._img, 0, 0, width, height);
-    };
+        var rows = Math.max(Math.min(Math.ceil(tags.length / columns), maxRows), 1),
+            places = rows * columns,
+            shown = tags.length > places ? places - 1 : tags.length;
 
-    /**
-     *  @private
-     *  Draws the watermark logo onto the canvas.
-     */
-    PhotoGenerator.prototype._constructWatermark = function () {
-        var width = this._config.watermarkWidth,
-            height = this._config.watermarkHeight,
-            offsetX = this._width - width - 20,
-            offsetY = this._height - height - 10;
+        legend.height = right ? this._height : rows * itemHeight + padding * 2;
+
+        var place = function (index) {
+            return {
+                x: legend.x + padding + index % columns * itemWidth,
+                y: legend.y + padding + Math.floor(index / columns) * itemHeight,
+                width: itemWidth,
+                height: itemHeight
+            };
+        };
 
-        if (this._retina) {
-            offsetX *= 2;
-            offsetY *= 2;
-            width *= 2;
-            height *= 2;
+        tags.slice(0, shown).forEach(function (item, index) {
+            legend.entries.push(extend(place(index), {
+                item: item,
+                number: index + 1
+            }));
+        });
+        if (shown < tags.length) {
+            legend.more = extend(place(shown), {
+                count: tags.length - shown
+            });
         }
 
-        this._context.drawImage(this._logoImg, offsetX, offsetY, width, height);
+        return legend;
     };
 
     /**
      *  @private
-     *  Makes the calculations and draws each tag onto the canvas.
+     *  Finds the best label position for a single tag. Every allowed direction
+     *  is tried and the label is slid along the side of its arrow (keeping the
+     *  arrow clear of the rounded corners). Candidates are scored by how much
+     *  they overlap the obstacles or go beyond the inactive margin, with a
+     *  slight preference for the order of the directions and for a centered
+     *  arrow.
+     *
+     *  @param {object} tag layout (anchorX, anchorY, width and height)
+     *  @param {array} rectangles to avoid (x, y, width, height)
+     *  @returns {object} direction, labelX and labelY
      */
-    PhotoGenerator.prototype._doAddTags = function () {
+    PhotoGenerator.prototype._placeLabel = function (item, obstacles) {
         var inactive = this._config.inactiveMargin,
             arrowSize = this._config.arrowSize,
-            bg = this._config.backgroundColor,
-            border = this._config.borderColor,
-            line = this._config.lineHeight;
-
-        this._photo.tags.forEach($.proxy(function (tag) {
-            var brand = tag.product.brand.name,
-                size = tag.sizes.string,
-                dimensions = this._calculcateDimensions(brand, size),
-                direction = "south";
-
-            var x = this._width * tag.position.tlc_x,
-                y = this._height * tag.position.tlc_y,
-                width = dimensions.width,
-                height = dimensions.height;
-            if (tag.product.brand.logo) {
-                width += this._config.brandWidth + this._config.brandSpacing * 2;
-            }
-            if (tag.product.image) {
-                width += height;
-            }
-
-            //Ensure coordinates stays within bounds
-            if (x < inactive) {
-                x = inactive;
-            }
-            else if (x > this._width - inactive) {
-                x = this._width - inactive;
-            }
-            if (y < inactive) {
-                y = inactive;
-            }
-            else if (y > this._height - inactive) {
-                y = this._height - inactive;
-            }
+            reach = arrowSize + 4,
+            bounds = {
+                x: inactive,
+                y: inactive,
+                width: this._width - inactive * 2,
+                height: this._height - inactive * 2
+            },
+            best = null;
+
+        var overlap = function (a, b) {
+            var w = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x),
+                h = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+            return w > 0 && h > 0 ? w * h : 0;
+        };
 
-            //Set label position (ensure label stays within horizontal bounds)
-            var labelX = x - width / 2,
-                labelY = y + arrowSize - 1;
-            if (labelX < inactive) {
-                labelX = inactive;
-            }
-            else if (labelX > this._width - inactive - width / 2) {
-                labelX = this._width - inactive - width / 2;
-            }
+        this._config.labelDirections.forEach(function (direction, preference) {
+            var vertical = direction === "south" || direction === "north",
+                length = vertical ? item.width : item.height,
+                center = (vertical ? item.anchorX : item.anchorY) - length / 2,
+                //Range the label can slide in while the arrow stays on its edge
+                from = (vertical ? item.anchorX : item.anchorY) - length + reach,
+                to = (vertical ? item.anchorX : item.anchorY) - reach;
 
-            //Ensure arrow stays within label horizontally
-            if (x < inactive * 2) {
-                x = inactive * 2;
-            }
-            else if (x > this._width - inactive * 2) {
-                x = this._width - inactive * 2;
+            if (from > to) {
+                from = to = center;
             }
 
-            //Check for label pushing past lower bounds (and if so flip north)
-            if (labelY + height > this._height - inactive) {
-                direction = "north";
-                labelY = y - (arrowSize - 1) - height;
+            for (var offset = from; offset <= to + 0.5; offset += 2) {
+                var rect = {
+                    width: item.width,
+                    height: item.height
+                };
+                offset = Math.min(offset, to);
+                if (vertical) {
+                    rect.x = offset;
+                    rect.y = direction === "south" ? item.anchorY + arrowSize - 1 : item.anchorY - (arrowSize - 1) - item.height;
+                }
+                else {
+                    rect.x = direction === "east" ? item.anchorX + arrowSize - 1 : item.anchorX - (arrowSize - 1) - item.width;
+                    rect.y = offset;
+                }
+
+                var score = (item.width * item.height - overlap(rect, bounds)) * 10;
+                obstacles.forEach(function (obstacle) {
+                    score += overlap(rect, obstacle) * 5;
+                });
+                score += preference * 20 + Math.abs(offset - center) / length;
+
+                if (!best || score < best.score) {
+                    best = {
+                        score: score,
+                        direction: direction,
+                        labelX: rect.x,
+                        labelY: rect.y
+                    };
+                }
             }
+        });
 
-            //Create label and arrow
-            this._constructArrow(direction, x, y - 1, arrowSize, border);
-            this._constructLabel(labelX, labelY, width, height, bg, border);
-            this._constructArrow(direction, x, y, arrowSize - 1, bg);
-
-            var labelSpacing = this._config.horizontalSpacing;
-            //Add brand logo to tag
-            if (tag.product.brand.logo) {
-                this._context.save();
-                //Use clip to cut corners off of affiliate image
-                this._constructLabel(labelX, labelY, width, height);
-                this._context.clip();
-                this._constructBrandLogo(tag.product.brand.el, labelX, labelY, this._config.brandWidth, height, tag.product.brand.logo.prevail_hex);
-                this._context.restore();
-                //Clean up image element
-                delete tag.product.brand.el;
-                //Push spacing to allow place for image
-                labelSpacing += this._config.brandWidth + this._config.brandSpacing * 2;
+        return best;
+    };
 
-                //Add separator line
-                this._constructSeparator(labelX + height, labelY, height);
+    /**
+     *  @private
+     *  Resolves the label template for a tag into the rows of text to draw.
+     *
+     *  @param {object} tag
+     *  @returns {array} rows (text, fontFamily, fontWeight, fontSize,
+     *  lineHeight, color, textOverflow, maxLines)
+     */
+    PhotoGenerator.prototype._labelRows = function (tag) {
+        var template = this._config.labelTemplate;
+        if (typeof template === "string") {
+            if (!PhotoGenerator.templates[template]) {
+                throw new PhotoGeneratorError(
+                    "unknown_template",
+                    "Unknown label template " + template + ".",
+                    { template: template }
+                );
             }
-            //Add affiliate img to tag
-            if (tag.product.image) {
-                this._context.save();
-                //Use clip to cut corners off of affiliate image
-                this._constructLabel(labelX, labelY, width, height);
-                this._context.clip();
-                this._constructAffiliateImage(tag.product.image.el, labelX, labelY, height, width);
-                this._context.restore();
-                //Clean up image element
-                delete tag.product.image.el;
+            template = PhotoGenerator.templates[template];
+        }
 
-                //Add separator line
-                this._constructSeparator(labelX + (width - height), labelY, height);
+        return template.map(function (row) {
+            var text = row.text;
+            if (typeof row.field === "function") {
+                text = row.field(tag);
+            }
+            else if (row.field) {
+                text = row.field.split(".").reduce(function (value, key) {
+                    return value === null || value === undefined ? value : value[key];
+                }, tag);
             }
 
-            //Create label text
-            this._setFont({ bold: true });
-            this._constructText(labelX + labelSpacing, labelY + line, brand);
-            this._setFont();
-            this._constructText(labelX + labelSpacing, labelY + line * 2, size);
-        }, this));
+            //The row overrides the font of its role
+            var config = this._config,
+                role = row.role || "",
+                fontSize = row.fontSize || config[role + "FontSize"] || config.fontSize;
+
+            return {
+                text: text === null || text === undefined ? "" : String(text),
+                fontFamily: row.fontFamily || config[role + "FontFamily"],
+                fontWeight: row.fontWeight || config[role + "FontWeight"],
+                fontSize: fontSize,
+                lineHeight: row.lineHeight || this._config.lineHeight * fontSize / this._config.fontSize,
+                color: row.color,
+                textOverflow: row.textOverflow || this._config.textOverflow,
+                maxLines: row.maxLines || this._config.maxLines
+            };
+        }.bind(this)).filter(function (row) {
+            return row.text !== "";
+        });
     };
 
     /**
      *  @private
-     *  Calculates dimensions for a tag based on lengths of text lines.
+     *  Calculates dimensions for a tag based on its text rows. The text of
+     *  each row is fitted to maxWidth first, so the label is sized from the
+     *  lines actually drawn.
      *
-     *  @param {string} text on line 1
-     *  @param {string} text on line 2
+     *  @param {array} text rows
+     *  @returns {object} width, height and the rows with their lines
      */
-    PhotoGenerator.prototype._calculcateDimensions = function (line1, line2) {
+    PhotoGenerator.prototype._calculcateDimensions = function (rows) {
         var maxWidth = this._config.maxWidth,
             hSpacing = this._config.horizontalSpacing,
-            vSpacing = this._config.verticalSpacing,
-            lineHeight = this._config.lineHeight;
-        if (this._retina) {
-            maxWidth *= 2;
-            hSpacing *= 2;
-            vSpacing *= 2;
-            lineHeight *= 2;
-        }
+            vSpacing = this._config.verticalSpacing;
 
         //Determine width from text width
         var width = 0;
-        this._setFont({ bold: true });
-        width = Math.max(width, this._context.measureText(line1).width);
-        this._setFont();
-        width = Math.max(width, this._context.measureText(line2).width);
+        rows.forEach(function (row) {
+            this._setFont(row);
+            row.rtl = isRightToLeft(row.text);
+            row.lines = this._fitText(row.text, maxWidth, row.textOverflow === "wrap" ? row.maxLines : 1);
+            row.lines.forEach(function (line) {
+                width = Math.max(width, this._context.measureText(line).width);
+            }.bind(this));
+        }.bind(this));
         if (width > maxWidth) {
             width = maxWidth;
         }
         width += hSpacing * 2;
 
         //Determine height
-        var height = lineHeight * 2 + vSpacing * 2;
-
-        //Account for retina
-        if (this._retina) {
-            width /= 2;
-            height /= 2;
-        }
+        var height = vSpacing * 2;
+        rows.forEach(function (row) {
+            height += row.lineHeight * row.lines.length;
+        });
 
         return {
             width: width,
-            height: height
+            height: height,
+            rows: rows
+        };
+    };
+
+    /**
+     *  @private
+     *  Breaks text into lines no wider than maxWidth with the current font.
+     *  Lines are broken between words, and within a word only if it does not
+     *  fit a line by itself. If the text needs more than maxLines, the last
+     *  line is cropped and three dots are added. Text is only ever broken
+     *  between grapheme clusters.
+     *
+     *  @param {string} text
+     *  @param {integer} max width of a line
+     *  @param {integer} max number of lines
+     *  @returns {array} lines
+     */
+    PhotoGenerator.prototype._fitText = function (text, maxWidth, maxLines) {
+        var context = this._context,
+            lines = [],
+            current = "";
+
+        var fits = function (line) {
+            return context.measureText(line).width <= maxWidth;
         };
+
+        text.split(/\s+/).filter(function (word) {
+            return word !== "";
+        }).forEach(function (word) {
+            var candidate = current ? current + " " + word : word;
+            if (fits(candidate)) {
+                current = candidate;
+                return;
+            }
+            if (current) {
+                lines.push(current);
+            }
+            current = word;
+
+            //Break words too long for a line of their own
+            var graphemes = splitGraphemes(word);
+            while (!fits(current) && graphemes.length > 1) {
+                var count = 1;
+                while (count < graphemes.length && fits(graphemes.slice(0, count + 1).join(""))) {
+                    count++;
+                }
+                lines.push(graphemes.slice(0, count).join(""));
+                graphemes = graphemes.slice(count);
+                current = graphemes.join("");
+            }
+        });
+        if (current) {
+            lines.push(current);
+        }
+
+        //Crop text with ellipsis, if too long
+        if (lines.length > maxLines) {
+            var graphemes = splitGraphemes(lines.slice(maxLines - 1).join(" "));
+            lines = lines.slice(0, maxLines - 1);
+            while (graphemes.length && !fits(graphemes.join("") + "...")) {
+                graphemes.pop();
+            }
+            lines.push(graphemes.join("").replace(/\s+$/, "") + "...");
+        }
+
+        return lines;
     };
 
     /**
@@ -406,32 +3513,38 @@ define([
      *  Draws an arrow onto the canvas based on the label direction and
      *  coordinates with a specific size and color.
      *
-     *  @param {string} direction of the label (north or south, default south)
-     *  @param {integer} x coordinate
-     *  @param {integer} y coordinate
-     *  @param {integer} vertical size (horizontal is twice this)
+     *  @param {string} direction of the label (north, south, east or west,
+     *  default south)
+     *  @param {integer} x coordinate of the tip
+     *  @param {integer} y coordinate of the tip
+     *  @param {integer} size along the arrow (the base is twice this)
      *  @param {string} color
+     *  @param {object} point the base is placed from, where the label was
+     *  kept within bounds (x, y, defaults to the tip)
      */
-    PhotoGenerator.prototype._constructArrow = function (dir, x, y, size, c) {
-        if (this._retina) {
-            x *= 2;
-            y *= 2;
-            size *= 2;
-        }
+    PhotoGenerator.prototype._constructArrow = function (dir, x, y, size, c, anchor) {
+        var baseX = anchor ? anchor.x : x,
+            baseY = anchor ? anchor.y : y;
 
-        //Flip arrow if north direction
-        var wideY = y;
+        //Point the arrow away from the label
+        this._context.beginPath();
+        this._context.moveTo(x, y);
         if (dir === "north") {
-            wideY -= size;
+            this._context.lineTo(baseX + size, baseY - size);
+            this._context.lineTo(baseX - size, baseY - size);
+        }
+        else if (dir === "east") {
+            this._context.lineTo(baseX + size, baseY + size);
+            this._context.lineTo(baseX + size, baseY - size);
+        }
+        else if (dir === "west") {
+            this._context.lineTo(baseX - size, baseY + size);
+            this._context.lineTo(baseX - size, baseY - size);
         }
         else {
-            wideY += size;
+            this._context.lineTo(baseX + size, baseY + size);
+            this._context.lineTo(baseX - size, baseY + size);
         }
-
-        this._context.beginPath();
-        this._context.moveTo(x, y);
-        this._context.lineTo(x + size, wideY);
-        this._context.lineTo(x - size, wideY);
         this._context.lineTo(x, y);
         this._context.closePath();
         this._context.strokeStyle = c;
@@ -455,14 +3568,6 @@ define([
     PhotoGenerator.prototype._constructLabel = function (x, y, w, h, bg, b) {
         var radius = 4;
 
-        if (this._retina) {
-            x *= 2;
-            y *= 2;
-            w *= 2;
-            h *= 2;
-            radius *= 2;
-        }
-
         this._context.beginPath();
         this._context.moveTo(x + radius, y);
         this._context.lineTo(x + w - radius, y);
@@ -484,6 +3589,266 @@ define([
         }
     };
 
+    /**
+     *  @private
+     *  Sets the label shadow on the context. Shadows are not scaled by the
+     *  context transform, so they are scaled to the pixel ratio here.
+     */
+    PhotoGenerator.prototype._setShadow = function () {
+        var ratio = this._canvas.width / this._canvasWidth;
+
+        this._context.shadowColor = this._config.labelShadowColor;
+        this._context.shadowBlur = this._config.labelShadowBlur * ratio;
+        this._context.shadowOffsetX = this._config.labelShadowOffsetX * ratio;
+        this._context.shadowOffsetY = this._config.labelShadowOffsetY * ratio;
+    };
+
+    /**
+     *  @private
+     *  Draws the backdrop set by the labelBackdrop option around a label:
+     *  "blur" blurs and "darken" darkens the photo behind it, so the label
+     *  stands out on busy or bright photos.
+     *
+     *  @param {integer} x coordinate of the label
+     *  @param {integer} y coordinate of the label
+     *  @param {integer} width of the label
+     *  @param {integer} height of the label
+     */
+    PhotoGenerator.prototype._constructBackdrop = function (x, y, width, height) {
+        var backdrop = this._config.labelBackdrop,
+            padding = this._config.labelBackdropPadding;
+
+        if (backdrop !== "blur" && backdrop !== "darken") {
+            return;
+        }
+
+        x -= padding;
+        y -= padding;
+        width += padding * 2;
+        height += padding * 2;
+
+        this._context.save();
+        this._constructLabel(x, y, width, height);
+        this._context.clip();
+        if (backdrop === "darken") {
+            this._context.fillStyle = this._config.labelBackdropColor;
+            this._context.fillRect(x, y, width, height);
+        }
+        else if (this._renderer === "svg") {
+            //Nothing can be read back from an SVG, so blur the image itself
+            this._drawImage(this._config.labelBackdropBlur);
+        }
+        else {
+            this._blurRegion(x, y, width, height);
+        }
+        this._context.restore();
+    };
+
+    /**
+     *  @private
+     *  Draws a blurred copy of part of the canvas over itself. The blur is
+     *  done by a filter on a scratch canvas, or in JavaScript if the filter
+     *  property is not supported.
+     *
+     *  @param {number} x coordinate
+     *  @param {number} y coordinate
+     *  @param {number} width
+     *  @param {number} height
+     */
+    PhotoGenerator.prototype._blurRegion = function (x, y, width, height) {
+        var scaleX = this._canvas.width / this._canvasWidth,
+            scaleY = this._canvas.height / this._canvasHeight,
+            radius = this._config.labelBackdropBlur * scaleX,
+            //Read around the region, so its edges are blurred with the photo
+            margin = Math.ceil(radius * 2),
+            left = Math.max(Math.floor(x * scaleX) - margin, 0),
+            top = Math.max(Math.floor(y * scaleY) - margin, 0),
+            right = Math.min(Math.ceil((x + width) * scaleX) + margin, this._canvas.width),
+            bottom = Math.min(Math.ceil((y + height) * scaleY) + margin, this._canvas.height),
+            copy = this._backend.createCanvas(right - left, bottom - top),
+            copyContext = copy.getContext("2d"),
+            imageData;
+
+        if (typeof copyContext.filter === "string") {
+            copyContext.filter = "blur(" + radius + "px)";
+            copyContext.drawImage(this._canvas, left, top, copy.width, copy.height, 0, 0, copy.width, copy.height);
+        }
+        else {
+            try {
+                imageData = this._context.getImageData(left, top, copy.width, copy.height);
+            }
+            catch (e) {
+                //A tainted canvas cannot be read, it fails when exported instead
+                return;
+            }
+            PixelFilters.blur(imageData, radius);
+            copyContext.putImageData(imageData, 0, 0);
+        }
+
+        this._context.drawImage(copy, left / scaleX, top / scaleY, copy.width / scaleX, copy.height / scaleY);
+    };
+
+    /**
+     *  @private
+     *  Draws the drop shadow of a label and its arrow.
+     *
+     *  @param {string} direction of the label
+     *  @param {integer} x coordinate of the arrow
+     *  @param {integer} y coordinate of the arrow
+     *  @param {integer} x coordinate of the label
+     *  @param {integer} y coordinate of the label
+     *  @param {integer} width of the label
+     *  @param {integer} height of the label
+     *  @param {object} point the arrow meets the label at (x, y)
+     */
+    PhotoGenerator.prototype._constructShadow = function (direction, x, y, labelX, labelY, width, height, anchor) {
+        this._context.save();
+        this._setShadow();
+        this._constructArrow(direction, x, y, this._config.arrowSize, this._config.backgroundColor, anchor);
+        this._constructLabel(labelX, labelY, width, height, this._config.backgroundColor);
+        this._context.restore();
+    };
+
+    /**
+     *  @private
+     *  Draws a numbered pin at the position of each tag and the legend
+     *  listing them.
+     */
+    PhotoGenerator.prototype._doAddPins = function () {
+        var config = this._config;
+
+        this._layout.forEach(function (item, index) {
+            if (item) {
+                var hookEvent = this._hookEvent({ tag: this._tags[index].tag, index: this._tags[index].index, layout: item });
+
+                //Draw with the palette chosen for the tag
+                this._config = item.palette ? extend({}, config, item.palette) : config;
+                this._trigger("beforeTag", hookEvent);
+                this._constructPin(item.x, item.y, item.number);
+                this._trigger("afterTag", hookEvent);
+            }
+        }.bind(this));
+
+        this._config = config;
+        this._constructLegend();
+    };
+
+    /**
+     *  @private
+     *  Draws a round pin with a number onto the canvas, in the colors of the
+     *  labels.
+     *
+     *  @param {integer} x coordinate of the center
+     *  @param {integer} y coordinate of the center
+     *  @param {integer} number
+     */
+    PhotoGenerator.prototype._constructPin = function (x, y, number) {
+        var radius = this._config.pinRadius;
+
+        this._context.save();
+        if (this._config.labelShadow) {
+            this._setShadow();
+        }
+        this._context.beginPath();
+        this._context.arc(x, y, radius, 0, Math.PI * 2);
+        this._context.closePath();
+        this._context.lineWidth = 1;
+        this._context.strokeStyle = this._config.borderColor;
+        this._context.stroke();
+        this._context.fillStyle = this._config.backgroundColor;
+        this._context.fill();
+        this._context.restore();
+
+        this._setFont({
+            fontWeight: "bold",
+            fontSize: Math.round(radius * 1.2)
+        });
+        this._context.save();
+        this._context.textAlign = "center";
+        this._context.textBaseline = "middle";
+        this._context.fillText(String(number), x, y);
+        this._context.restore();
+    };
+
+    /**
+     *  @private
+     *  Draws the legend with an entry for each pin: its number, the brand
+     *  logo, the text rows of the label template (as many as fit, one line
+     *  each) and the affiliate image.
+     */
+    PhotoGenerator.prototype._constructLegend = function () {
+        var legend = this._legend,
+            config = this._config,
+            hSpacing = config.horizontalSpacing,
+            vSpacing = config.verticalSpacing,
+            radius = config.pinRadius;
+
+        this._context.fillStyle = config.legendBackground;
+        this._context.fillRect(legend.x, legend.y, legend.width, legend.height);
+
+        legend.entries.forEach(function (entry) {
+            var item = entry.item,
+                x = entry.x,
+                y = entry.y + vSpacing,
+                width = entry.width - hSpacing,
+                height = entry.height - vSpacing * 2;
+
+            this._constructPin(x + radius + 1, y + height / 2, entry.number);
+            x += radius * 2 + 2 + hSpacing;
+            width -= radius * 2 + 2 + hSpacing;
+
+            //Add brand logo to entry
+            if (item.brandLogo) {
+                this._context.save();
+                this._constructLabel(x, y, config.brandWidth + config.brandSpacing * 2, height);
+                this._context.clip();
+                this._constructBrandLogo(item.brandLogo, x, y, config.brandWidth, height, item.tag.product.brand.logo.prevail_hex);
+                this._context.restore();
+                x += config.brandWidth + config.brandSpacing * 2 + hSpacing;
+                width -= config.brandWidth + config.brandSpacing * 2 + hSpacing;
+            }
+            //Add affiliate img to entry
+            if (item.affiliateImage) {
+                this._context.save();
+                this._constructLabel(x + width - height, y, height, height);
+                this._context.clip();
+                this._constructAffiliateImage(item.affiliateImage, x, y, height, width);
+                this._context.restore();
+                width -= height + hSpacing;
+            }
+
+            //Keep the rows that fit, one line each, centered vertically
+            var rows = [],
+                textHeight = 0;
+            this._labelRows(item.tag).forEach(function (row) {
+                if (textHeight + row.lineHeight <= height) {
+                    rows.push(row);
+                    textHeight += row.lineHeight;
+                }
+            });
+
+            var lineY = y + (height - textHeight) / 2;
+            rows.forEach(function (row) {
+                this._setFont(row);
+                lineY += row.lineHeight;
+                //Leave room for the descenders below the baseline
+                this._constructText(x, lineY - vSpacing, this._fitText(row.text, width, 1)[0] || "", width, isRightToLeft(row.text));
+            }.bind(this));
+        }.bind(this));
+
+        if (legend.more) {
+            this._setFont({ fontWeight: "bold" });
+            this._context.save();
+            this._context.textBaseline = "middle";
+            this._context.fillText(
+                config.legendMoreText.replace("{count}", legend.more.count),
+                legend.more.x + radius - 3,
+                legend.more.y + legend.more.height / 2
+            );
+            this._context.restore();
+        }
+    };
+
     /**
      *  @private
      *  Draws a brand logo onto the canvas based on coordinates with a specific
@@ -499,14 +3864,6 @@ define([
     PhotoGenerator.prototype._constructBrandLogo = function (img, x, y, width, labelHeight, prevailingColor) {
         var spacing = this._config.brandSpacing;
 
-        if (this._retina) {
-            x *= 2;
-            y *= 2;
-            width *= 2;
-            labelHeight *= 2;
-            spacing *= 2;
-        }
-
         if (prevailingColor) {
             this._context.fillStyle = "#" + prevailingColor;
             this._context.fillRect(x, y, width + spacing * 2, labelHeight);
@@ -549,13 +3906,6 @@ define([
      *  @param {integer} width of the label
      */
     PhotoGenerator.prototype._constructAffiliateImage = function (img, x, y, size, labelWidth) {
-        if (this._retina) {
-            x *= 2;
-            y *= 2;
-            size *= 2;
-            labelWidth *= 2;
-        }
-
         //Move affiliate image to the right of the label
         x += labelWidth - size;
 
@@ -596,12 +3946,6 @@ define([
      */
     PhotoGenerator.prototype._constructSeparator = function (x, y, height) {
         var width = 1;
-        if (this._retina) {
-            x *= 2;
-            y *= 2;
-            width *= 2;
-            height *= 2;
-        }
 
         this._context.lineWidth = width;
 
@@ -622,57 +3966,55 @@ define([
     /**
      *  @private
      *  Sets the font on the canvas. Used for both calculating the text sizes
-     *  and for drawing the texts.
+     *  and for drawing the texts. The fallback fonts take over for fonts
+     *  that did not load.
      *
-     *  @param {object} options (bold: true/false)
+     *  @param {object} options (fontFamily, fontWeight, fontSize, color)
      */
     PhotoGenerator.prototype._setFont = function (options) {
         options = options || {};
 
-        var size = this._config.fontSize;
-        if (this._retina) {
-            size *= 2;
+        var size = options.fontSize || this._config.fontSize,
+            family = options.fontFamily || this._config.fontFamily;
+
+        if (this._config.fontFallback) {
+            family += ", " + this._config.fontFallback;
         }
 
-        var font = size + "px " + this._config.fontFamily;
-        if (options.bold) {
-            font = "bold " + font;
+        var font = size + "px " + family;
+        if (options.fontWeight) {
+            font = options.fontWeight + " " + font;
         }
 
         this._context.font = font;
-        this._context.fillStyle = this._config.fontColor;
+        this._context.fillStyle = options.color || this._config.fontColor;
     };
 
     /**
      *  @private
-     *  Draws text onto the canvas based on coordinates. The text is cropped to
-     *  stay within the maxWidth set upon initialization. If the text is
-     *  cropped, three dots are added.
+     *  Draws a line of text onto the canvas based on coordinates. The line
+     *  has already been fitted to the label by _fitText. Right-to-left text
+     *  is aligned to the right edge of the text area.
      *
      *  @param {integer} x coordinate
      *  @param {integer} y coordinate
      *  @param {string} text
+     *  @param {integer} width of the text area
+     *  @param {boolean} right-to-left text
      */
-    PhotoGenerator.prototype._constructText = function (x, y, text) {
-        var maxWidth = this._config.maxWidth;
-        if (this._retina) {
-            x *= 2;
-            y *= 2;
-            maxWidth *= 2;
-        }
-
-        //Crop text with ellipsis, if too long
-        var output = text;
-        if (this._context.measureText(output).width > maxWidth) {
-            while (this._context.measureText(output + "...").width > maxWidth) {
-                output = output.substring(0, output.length - 1);
-            }
-            output += "...";
+    PhotoGenerator.prototype._constructText = function (x, y, text, width, rtl) {
+        if (!rtl) {
+            this._context.fillText(text, x, y);
+            return;
         }
 
-        this._context.fillText(output, x, y);
+        this._context.save();
+        this._context.direction = "rtl";
+        this._context.textAlign = "right";
+        this._context.fillText(text, x + width, y);
+        this._context.restore();
     };
 
     return PhotoGenerator;
 
-});
\ No newline at end of file
+}));
\ No newline at end of file
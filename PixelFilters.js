@@ -0,0 +1,131 @@
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    }
+    else if (typeof define === "function" && define.amd) {
+        define([], factory);
+    }
+    else {
+        root.PixelFilters = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+    "use strict";
+
+    /**
+     *  Clamps a color channel to 0-255.
+     *
+     *  @param {number} value
+     *  @returns {number} clamped value
+     */
+    var clamp = function (value) {
+        return value < 0 ? 0 : value > 255 ? 255 : value;
+    };
+
+    /**
+     *  Blurs one line of pixels (a row or a column) with a box of the given
+     *  radius, reading from one buffer and writing into another.
+     *
+     *  @param {array} source pixel data
+     *  @param {array} target pixel data
+     *  @param {integer} index of the first pixel
+     *  @param {integer} distance between two pixels of the line (in pixels)
+     *  @param {integer} number of pixels in the line
+     *  @param {integer} radius
+     */
+    var blurLine = function (source, target, start, step, length, radius) {
+        var size = radius * 2 + 1,
+            sums = [0, 0, 0, 0],
+            i, c, first, last;
+
+        //Fill the box for the first pixel, repeating the edge pixel
+        for (i = -radius; i <= radius; i++) {
+            first = (start + Math.min(Math.max(i, 0), length - 1) * step) * 4;
+            for (c = 0; c < 4; c++) {
+                sums[c] += source[first + c];
+            }
+        }
+
+        //Slide the box along the line
+        for (i = 0; i < length; i++) {
+            for (c = 0; c < 4; c++) {
+                target[(start + i * step) * 4 + c] = sums[c] / size;
+            }
+
+            first = (start + Math.max(i - radius, 0) * step) * 4;
+            last = (start + Math.min(i + radius + 1, length - 1) * step) * 4;
+            for (c = 0; c < 4; c++) {
+                sums[c] += source[last + c] - source[first + c];
+            }
+        }
+    };
+
+    /**
+     *  Image processing done in JavaScript on ImageData, for drawing contexts
+     *  without support for the filter property. The results match the CSS
+     *  filter functions of the same name.
+     */
+    return {
+
+        /**
+         *  @public
+         *  Adjusts the brightness, contrast and saturation of the pixels in
+         *  place, in that order (like "brightness() contrast() saturate()").
+         *
+         *  @param {object} ImageData
+         *  @param {object} adjustments (brightness, contrast, saturation: 1
+         *  leaves the image as it is)
+         */
+        adjust: function (imageData, adjustments) {
+            var data = imageData.data,
+                brightness = adjustments.brightness,
+                contrast = adjustments.contrast,
+                s = adjustments.saturation,
+                intercept = 128 * (1 - contrast),
+                r, g, b, i;
+
+            for (i = 0; i < data.length; i += 4) {
+                //Each filter clamps its result before the next one
+                r = clamp(clamp(data[i] * brightness) * contrast + intercept);
+                g = clamp(clamp(data[i + 1] * brightness) * contrast + intercept);
+                b = clamp(clamp(data[i + 2] * brightness) * contrast + intercept);
+
+                data[i] = clamp((0.213 + 0.787 * s) * r + (0.715 - 0.715 * s) * g + (0.072 - 0.072 * s) * b);
+                data[i + 1] = clamp((0.213 - 0.213 * s) * r + (0.715 + 0.285 * s) * g + (0.072 - 0.072 * s) * b);
+                data[i + 2] = clamp((0.213 - 0.213 * s) * r + (0.715 - 0.715 * s) * g + (0.072 + 0.928 * s) * b);
+            }
+        },
+
+        /**
+         *  @public
+         *  Blurs the pixels in place. Three box blurs in each direction come
+         *  close to the gaussian blur of the CSS blur() function.
+         *
+         *  @param {object} ImageData
+         *  @param {number} radius (standard deviation) in pixels
+         */
+        blur: function (imageData, radius) {
+            var width = imageData.width,
+                height = imageData.height,
+                data = imageData.data,
+                copy = new Float32Array(data.length),
+                box = Math.round((Math.sqrt(4 * radius * radius + 1) - 1) / 2),
+                pass, x, y;
+
+            if (box < 1) {
+                return;
+            }
+
+            for (pass = 0; pass < 3; pass++) {
+                for (y = 0; y < height; y++) {
+                    blurLine(data, copy, y * width, 1, width, box);
+                }
+                for (x = 0; x < width; x++) {
+                    blurLine(copy, data, x, width, height, box);
+                }
+            }
+        }
+
+    };
+
+}));
@@ -0,0 +1,474 @@
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    }
+    else if (typeof define === "function" && define.amd) {
+        define([], factory);
+    }
+    else {
+        root.SvgContext = factory();
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+
+    "use strict";
+
+    /**
+     *  Escapes text for use in SVG markup.
+     *
+     *  @param {string} text
+     *  @returns {string} escaped text
+     */
+    var escapeXml = function (text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/"/g, "&quot;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;");
+    };
+
+    /**
+     *  Rounds a number to keep the markup short without visible loss.
+     *
+     *  @param {number} number
+     *  @returns {number} rounded number
+     */
+    var round = function (number) {
+        return Math.round(number * 1000) / 1000;
+    };
+
+    /**
+     *  Gradient handed out by createLinearGradient and createRadialGradient.
+     *  Referenced by id when used as a fill or stroke.
+     *
+     *  @param {string} id
+     *  @param {string} type (linear or radial)
+     *  @param {array} coordinates (x0, y0, x1, y1 for linear gradients and
+     *  x0, y0, r0, x1, y1, r1 for radial gradients)
+     */
+    var SvgGradient = function (id, type, coords) {
+        this.id = id;
+        this.type = type;
+        this.coords = coords;
+        this.stops = [];
+    };
+
+    /**
+     *  @public
+     *  Adds a color stop to the gradient.
+     *
+     *  @param {number} offset (0-1)
+     *  @param {string} color
+     */
+    SvgGradient.prototype.addColorStop = function (offset, color) {
+        this.stops.push({ offset: offset, color: color });
+    };
+
+    /**
+     *  Drawing context recording everything drawn onto it as SVG. It mimics
+     *  the parts of CanvasRenderingContext2D used by the photo generator, so
+     *  the generator draws the exact same composition as vector output. Text
+     *  is measured with a real canvas context to get the same layout.
+     *
+     *  @param {integer} width in pixels
+     *  @param {integer} height in pixels
+     *  @param {object} options (measureContext: 2D canvas context used to
+     *  measure text, imageHref: function returning the href of an image)
+     */
+    var SvgContext = function (width, height, options) {
+        this.canvas = {
+            width: width,
+            height: height
+        };
+
+        this._measureContext = options.measureContext;
+        this._imageHref = options.imageHref || function (img) {
+            return img.src;
+        };
+        this._defs = [];
+        this._elements = [];
+        this._path = "";
+        this._ids = 0;
+        this._stack = [];
+        this._state = {
+            fillStyle: "#000000",
+            strokeStyle: "#000000",
+            lineWidth: 1,
+            font: "10px sans-serif",
+            globalAlpha: 1,
+            filter: "none",
+            shadowColor: "rgba(0, 0, 0, 0)",
+            shadowBlur: 0,
+            shadowOffsetX: 0,
+            shadowOffsetY: 0,
+            textAlign: "start",
+            textBaseline: "alphabetic",
+            direction: "ltr",
+            transform: [1, 0, 0, 1, 0, 0],
+            clip: null
+        };
+    };
+
+    SvgContext.prototype = {};
+
+    //Expose drawing state as properties like a canvas context does
+    ["fillStyle", "strokeStyle", "lineWidth", "font", "globalAlpha", "filter", "shadowColor", "shadowBlur", "shadowOffsetX", "shadowOffsetY", "textAlign", "textBaseline", "direction"].forEach(function (name) {
+        Object.defineProperty(SvgContext.prototype, name, {
+            get: function () {
+                return this._state[name];
+            },
+            set: function (value) {
+                this._state[name] = value;
+            }
+        });
+    });
+
+    /**
+     *  @public
+     *  Returns the recorded drawing as an SVG document.
+     *
+     *  @returns {string} SVG markup
+     */
+    SvgContext.prototype.toSvg = function () {
+        return "<svg xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\"" +
+            " width=\"" + this.canvas.width + "\" height=\"" + this.canvas.height + "\"" +
+            " viewBox=\"0 0 " + this.canvas.width + " " + this.canvas.height + "\">" +
+            "<defs>" + this._defs.join("") + "</defs>" +
+            this._elements.join("") +
+            "</svg>";
+    };
+
+    SvgContext.prototype.save = function () {
+        this._stack.push(this._state);
+        this._state = Object.create(this._state);
+    };
+
+    SvgContext.prototype.restore = function () {
+        if (this._stack.length) {
+            this._state = this._stack.pop();
+        }
+    };
+
+    SvgContext.prototype.setTransform = function (a, b, c, d, e, f) {
+        this._state.transform = [a, b, c, d, e, f];
+    };
+
+    SvgContext.prototype.beginPath = function () {
+        this._path = "";
+    };
+
+    SvgContext.prototype.moveTo = function (x, y) {
+        this._path += "M" + round(x) + " " + round(y);
+    };
+
+    SvgContext.prototype.lineTo = function (x, y) {
+        this._path += "L" + round(x) + " " + round(y);
+    };
+
+    SvgContext.prototype.quadraticCurveTo = function (cpx, cpy, x, y) {
+        this._path += "Q" + round(cpx) + " " + round(cpy) + " " + round(x) + " " + round(y);
+    };
+
+    /**
+     *  @public
+     *  Adds an arc of a circle to the path like arc on a canvas. Full circles
+     *  are drawn as two halves, as a single SVG arc cannot end where it
+     *  started.
+     *
+     *  @param {number} x coordinate of the center
+     *  @param {number} y coordinate of the center
+     *  @param {number} radius
+     *  @param {number} start angle (radians)
+     *  @param {number} end angle (radians)
+     *  @param {boolean} counterclockwise
+     */
+    SvgContext.prototype.arc = function (x, y, radius, startAngle, endAngle, counterclockwise) {
+        var sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle,
+            point = function (angle) {
+                return round(x + radius * Math.cos(angle)) + " " + round(y + radius * Math.sin(angle));
+            },
+            arcTo = function (angle, large) {
+                return "A" + round(radius) + " " + round(radius) + " 0 " + (large ? 1 : 0) + " " + (counterclockwise ? 0 : 1) + " " + point(angle);
+            };
+
+        this._path += (this._path ? "L" : "M") + point(startAngle);
+        if (sweep >= Math.PI * 2) {
+            this._path += arcTo(startAngle + (counterclockwise ? -Math.PI : Math.PI), false) + arcTo(startAngle, false);
+            return;
+        }
+
+        //Like a canvas, wrap the sweep into a single turn
+        sweep = (sweep % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+        this._path += arcTo(endAngle, sweep > Math.PI);
+    };
+
+    SvgContext.prototype.closePath = function () {
+        this._path += "Z";
+    };
+
+    SvgContext.prototype.fill = function () {
+        this._emit("<path d=\"" + this._path + "\"" + this._paint("fill", this._state.fillStyle) + "/>");
+    };
+
+    SvgContext.prototype.stroke = function () {
+        this._emit("<path d=\"" + this._path + "\" fill=\"none\"" +
+            this._paint("stroke", this._state.strokeStyle) +
+            " stroke-width=\"" + round(this._state.lineWidth) + "\"/>");
+    };
+
+    SvgContext.prototype.fillRect = function (x, y, width, height) {
+        this._emit("<rect x=\"" + round(x) + "\" y=\"" + round(y) + "\" width=\"" + round(width) + "\" height=\"" + round(height) + "\"" +
+            this._paint("fill", this._state.fillStyle) + "/>");
+    };
+
+    /**
+     *  @public
+     *  Turns the current path into a clip path for everything drawn until
+     *  the state is restored. Clips within clips are intersected. Like the
+     *  path, the clip path is in the coordinates of the elements it clips.
+     */
+    SvgContext.prototype.clip = function () {
+        var id = this._id("clip");
+
+        this._defs.push("<clipPath id=\"" + id + "\"" + this._clipAttribute() + ">" +
+            "<path d=\"" + this._path + "\"/>" +
+            "</clipPath>");
+
+        this._state.clip = id;
+    };
+
+    SvgContext.prototype.createLinearGradient = function (x0, y0, x1, y1) {
+        return new SvgGradient(this._id("gradient"), "linear", [x0, y0, x1, y1]);
+    };
+
+    SvgContext.prototype.createRadialGradient = function (x0, y0, r0, x1, y1, r1) {
+        return new SvgGradient(this._id("gradient"), "radial", [x0, y0, r0, x1, y1, r1]);
+    };
+
+    SvgContext.prototype.measureText = function (text) {
+        this._measureContext.font = this._state.font;
+        return this._measureContext.measureText(text);
+    };
+
+    /**
+     *  @public
+     *  Draws text like fillText on a canvas, as a real text element.
+     *
+     *  @param {string} text
+     *  @param {number} x coordinate
+     *  @param {number} y coordinate
+     */
+    SvgContext.prototype.fillText = function (text, x, y) {
+        var font = this._state.font.match(/^(?:(.+) )?(\d+(?:\.\d+)?)px (.+)$/) || [],
+            rtl = this._state.direction === "rtl",
+            align = this._state.textAlign,
+            anchor = {
+                left: rtl ? "end" : "start",
+                right: rtl ? "start" : "end",
+                center: "middle",
+                start: "start",
+                end: "end"
+            }[align],
+            baseline = {
+                top: "text-before-edge",
+                hanging: "hanging",
+                middle: "central",
+                bottom: "text-after-edge",
+                ideographic: "ideographic"
+            }[this._state.textBaseline];
+
+        this._emit("<text x=\"" + round(x) + "\" y=\"" + round(y) + "\"" +
+            (font[3] ? " font-family=\"" + escapeXml(font[3]) + "\"" : "") +
+            (font[2] ? " font-size=\"" + font[2] + "\"" : "") +
+            (font[1] ? " font-weight=\"" + escapeXml(font[1]) + "\"" : "") +
+            (anchor !== "start" ? " text-anchor=\"" + anchor + "\"" : "") +
+            (rtl ? " direction=\"rtl\"" : "") +
+            (baseline ? " dominant-baseline=\"" + baseline + "\"" : "") +
+            this._paint("fill", this._state.fillStyle) + ">" +
+            escapeXml(text) +
+            "</text>");
+    };
+
+    /**
+     *  @public
+     *  Draws an image like drawImage on a canvas, taking either a destination
+     *  (with an optional size) or a source and a destination rectangle.
+     */
+    SvgContext.prototype.drawImage = function (img, a, b, c, d, e, f, g, h) {
+        var imgWidth = img.naturalWidth || img.width,
+            imgHeight = img.naturalHeight || img.height,
+            href = escapeXml(this._imageHref(img)),
+            source = [0, 0, imgWidth, imgHeight],
+            dest = [a, b, c === undefined ? imgWidth : c, d === undefined ? imgHeight : d];
+
+        if (e !== undefined) {
+            source = [a, b, c, d];
+            dest = [e, f, g, h];
+        }
+
+        //Crop the source by viewing part of the full size image
+        this._emit("<svg x=\"" + round(dest[0]) + "\" y=\"" + round(dest[1]) + "\"" +
+            " width=\"" + round(dest[2]) + "\" height=\"" + round(dest[3]) + "\"" +
+            " viewBox=\"" + source.map(round).join(" ") + "\" preserveAspectRatio=\"none\">" +
+            "<image width=\"" + imgWidth + "\" height=\"" + imgHeight + "\"" +
+            " href=\"" + href + "\" xlink:href=\"" + href + "\"/>" +
+            "</svg>");
+    };
+
+    /**
+     *  @private
+     *  Adds an element to the drawing with the current transform, clip,
+     *  filter, shadow and alpha applied.
+     *
+     *  @param {string} element markup
+     */
+    SvgContext.prototype._emit = function (element) {
+        var alpha = this._state.globalAlpha;
+
+        this._elements.push("<g" + this._transformAttribute() + this._clipAttribute() + this._filterAttribute() +
+            (alpha !== 1 ? " opacity=\"" + round(alpha) + "\"" : "") + ">" +
+            element +
+            "</g>");
+    };
+
+    /**
+     *  @private
+     *  Creates the attributes painting a fill or stroke with a color or a
+     *  gradient. Colors with alpha are split into a color and an opacity,
+     *  which more SVG consumers understand.
+     *
+     *  @param {string} fill or stroke
+     *  @param {string|object} color or gradient
+     *  @returns {string} attributes
+     */
+    SvgContext.prototype._paint = function (attribute, style) {
+        if (style instanceof SvgGradient) {
+            var c = style.coords.map(round),
+                radial = style.type === "radial",
+                //SVG has no inner circle, so stops are moved out to start at it
+                start = radial ? c[2] / c[5] : 0;
+
+            this._defs.push("<" + style.type + "Gradient id=\"" + style.id + "\" gradientUnits=\"userSpaceOnUse\"" +
+                (radial ?
+                    " cx=\"" + c[3] + "\" cy=\"" + c[4] + "\" r=\"" + c[5] + "\" fx=\"" + c[0] + "\" fy=\"" + c[1] + "\"" :
+                    " x1=\"" + c[0] + "\" y1=\"" + c[1] + "\" x2=\"" + c[2] + "\" y2=\"" + c[3] + "\"") + ">" +
+                style.stops.map(function (stop) {
+                    var color = this._color(stop.color);
+                    return "<stop offset=\"" + round(start + stop.offset * (1 - start)) + "\" stop-color=\"" + color.color + "\"" +
+                        (color.opacity !== 1 ? " stop-opacity=\"" + color.opacity + "\"" : "") + "/>";
+                }, this).join("") +
+                "</" + style.type + "Gradient>");
+            return " " + attribute + "=\"url(#" + style.id + ")\"";
+        }
+
+        var color = this._color(style);
+        return " " + attribute + "=\"" + escapeXml(color.color) + "\"" +
+            (color.opacity !== 1 ? " " + attribute + "-opacity=\"" + color.opacity + "\"" : "");
+    };
+
+    /**
+     *  @private
+     *  Splits an rgba() color into an rgb() color and an opacity.
+     *
+     *  @param {string} color
+     *  @returns {object} color and opacity
+     */
+    SvgContext.prototype._color = function (color) {
+        var match = String(color).match(/^rgba\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/);
+        if (match) {
+            return {
+                color: "rgb(" + match[1] + ", " + match[2] + ", " + match[3] + ")",
+                opacity: parseFloat(match[4])
+            };
+        }
+        return {
+            color: color,
+            opacity: 1
+        };
+    };
+
+    /**
+     *  @private
+     *  @returns {string} transform attribute for the current transform
+     */
+    SvgContext.prototype._transformAttribute = function () {
+        var t = this._state.transform;
+        if (t[0] === 1 && t[1] === 0 && t[2] === 0 && t[3] === 1 && t[4] === 0 && t[5] === 0) {
+            return "";
+        }
+        return " transform=\"matrix(" + t.map(round).join(" ") + ")\"";
+    };
+
+    /**
+     *  @private
+     *  @returns {string} clip-path attribute for the current clip
+     */
+    SvgContext.prototype._clipAttribute = function () {
+        return this._state.clip ? " clip-path=\"url(#" + this._state.clip + ")\"" : "";
+    };
+
+    /**
+     *  @private
+     *  Creates a filter for the filter functions and the shadow of the
+     *  current state. The brightness(), contrast(), saturate() and blur()
+     *  functions are supported, with lengths in the units drawn in. Like on
+     *  a canvas, the shadow is in pixels of the output and is not scaled by
+     *  the transform.
+     *
+     *  @returns {string} filter attribute for the current filter and shadow
+     */
+    SvgContext.prototype._filterAttribute = function () {
+        var state = this._state,
+            t = state.transform,
+            shadow = this._color(state.shadowColor),
+            primitives = [],
+            pattern = /([a-z-]+)\(\s*([\d.]+)(%|px)?\s*\)/g,
+            match, value, id;
+
+        while ((match = pattern.exec(state.filter)) !== null) {
+            value = parseFloat(match[2]) / (match[3] === "%" ? 100 : 1);
+
+            if (match[1] === "brightness" || match[1] === "contrast") {
+                primitives.push("<feComponentTransfer>" + ["R", "G", "B"].map(function (channel) {
+                    return "<feFunc" + channel + " type=\"linear\" slope=\"" + round(value) + "\"" +
+                        (match[1] === "contrast" ? " intercept=\"" + round(0.5 - 0.5 * value) + "\"" : "") + "/>";
+                }).join("") + "</feComponentTransfer>");
+            }
+            else if (match[1] === "saturate") {
+                primitives.push("<feColorMatrix type=\"saturate\" values=\"" + round(value) + "\"/>");
+            }
+            else if (match[1] === "blur") {
+                primitives.push("<feGaussianBlur stdDeviation=\"" + round(value) + "\"/>");
+            }
+        }
+
+        if (shadow.opacity > 0 && (state.shadowBlur || state.shadowOffsetX || state.shadowOffsetY)) {
+            primitives.push("<feDropShadow dx=\"" + round(state.shadowOffsetX / t[0]) + "\" dy=\"" + round(state.shadowOffsetY / t[3]) + "\"" +
+                " stdDeviation=\"" + round(state.shadowBlur / 2 / t[0]) + "\"" +
+                " flood-color=\"" + escapeXml(shadow.color) + "\" flood-opacity=\"" + shadow.opacity + "\"/>");
+        }
+
+        if (!primitives.length) {
+            return "";
+        }
+
+        id = this._id("filter");
+        this._defs.push("<filter id=\"" + id + "\" x=\"-50%\" y=\"-50%\" width=\"200%\" height=\"200%\"" +
+            " color-interpolation-filters=\"sRGB\">" +
+            primitives.join("") +
+            "</filter>");
+        return " filter=\"url(#" + id + ")\"";
+    };
+
+    /**
+     *  @private
+     *  @param {string} prefix
+     *  @returns {string} id unique within the document
+     */
+    SvgContext.prototype._id = function (prefix) {
+        this._ids++;
+        return prefix + this._ids;
+    };
+
+    return SvgContext;
+
+}));
@@ -0,0 +1,727 @@
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./PhotoGenerator"));
+    }
+    else if (typeof define === "function" && define.amd) {
+        define(["./PhotoGenerator"], factory);
+    }
+    else {
+        root.TagEditor = factory(root.PhotoGenerator);
+    }
+}(typeof self !== "undefined" ? self : this, function (PhotoGenerator) {
+
+    "use strict";
+
+    /**
+     *  Copies a tag deep enough that moving it leaves the original alone.
+     *
+     *  @param {object} tag
+     *  @returns {object} copy of the tag and its position
+     */
+    var copyTag = function (tag) {
+        return Object.assign({}, tag, {
+            position: Object.assign({}, tag.position)
+        });
+    };
+
+    /**
+     *  Edits the tags of a photo on a live canvas. The editor mounts the
+     *  photo of a generator (not a collage) into a container, where tags can
+     *  be hovered, selected and dragged to new positions, and tags can be
+     *  added and removed. The editor works on its own copy of the tags, the
+     *  photo passed to the generator is never changed: the edited tags are
+     *  reported by the change events and returned by getTags and getPhoto,
+     *  with positions normalised 0..1 on the source image. Every change is
+     *  redrawn by the generator itself without loading anything again, so
+     *  the editor shows exactly what exportImage and upload produce of the
+     *  edited photo. Hover and selection outlines are only drawn on the
+     *  editor canvas, never on the photo.
+     *
+     *  @param {object} PhotoGenerator
+     *  @param {object} options (preset: name of the preset to edit,
+     *  hoverColor, selectColor, outlineWidth, dragThreshold: CSS pixels to
+     *  move before dragging, keyboard: remove the selected tag with Delete or
+     *  Backspace and unselect with Escape)
+     */
+    var TagEditor = function (generator, options) {
+        this._generator = generator;
+        this._tags = generator._photo.tags.map(copyTag);
+
+        this._config = Object.assign({
+            preset: null,
+            hoverColor: "rgba(0, 149, 255, 0.5)",
+            selectColor: "rgb(0, 149, 255)",
+            outlineWidth: 2,
+            dragThreshold: 3,
+            keyboard: true
+        }, options);
+
+        this._handlers = {};
+        this._listeners = [];
+        this._canvas = null;
+        this._layout = [];
+        this._hovered = null;
+        this._selected = null;
+        this._drag = null;
+        this._frame = null;
+        this._dirty = false;
+    };
+
+    TagEditor.prototype = {};
+
+    /**
+     *  @public
+     *  Adds a handler for an event of the editor. Handlers are called with
+     *  the editor as this and an object describing the event:
+     *
+     *  hover (index, tag) when the pointer moves onto a tag, or off it with
+     *  null as index and tag.
+     *  select (index, tag) when a tag is selected, or unselected with null as
+     *  index and tag.
+     *  move (index, tag, position) while a tag is dragged.
+     *  change (action: add/move/remove, index, tag, position) once a tag has
+     *  been added, dropped at its new position or removed.
+     *
+     *  Tags passed to the handlers are copies, see getTags.
+     *
+     *  @param {string} event name
+     *  @param {function} handler
+     *  @returns {object} the editor
+     */
+    TagEditor.prototype.on = PhotoGenerator.prototype.on;
+
+    /**
+     *  @public
+     *  Removes a handler added with on, or all handlers of the event if no
+     *  handler is given.
+     *
+     *  @param {string} event name
+     *  @param {function} handler (optional)
+     *  @returns {object} the editor
+     */
+    TagEditor.prototype.off = PhotoGenerator.prototype.off;
+
+    /**
+     *  @private
+     *  Calls the handlers of an event.
+     *
+     *  @param {string} event name
+     *  @param {object} description of the event
+     */
+    TagEditor.prototype._trigger = PhotoGenerator.prototype._trigger;
+
+    /**
+     *  @public
+     *  Renders the photo and mounts it into the container. The photo is
+     *  rendered with the canvas renderer at the pixel ratio of the screen
+     *  unless the options say otherwise. Mounting again moves the editor to
+     *  the new container.
+     *
+     *  @param {object} container element
+     *  @param {object} options passed on to PhotoGenerator.render
+     *  @returns {object} promise resolving with the editor, with an abort
+     *  method like render
+     */
+    TagEditor.prototype.mount = function (container, options) {
+        options = options || {};
+
+        var ownerDocument = container.ownerDocument,
+            view = ownerDocument.defaultView;
+
+        this.unmount();
+
+        var render = this._generator.render(Object.assign({}, options, {
+            renderer: "canvas",
+            pixelRatio: options.pixelRatio || (view && view.devicePixelRatio) || 1
+        }));
+
+        var promise = render.then(function () {
+            var canvas = ownerDocument.createElement("canvas");
+            canvas.className = "photo_generator_editor";
+            canvas.tabIndex = 0;
+            //Dragging must not scroll the page on touch screens
+            canvas.style.touchAction = "none";
+            canvas.style.maxWidth = "100%";
+            canvas.style.height = "auto";
+            container.appendChild(canvas);
+
+            this._canvas = canvas;
+            this._view = view;
+
+            this._listen(canvas, "pointerdown", this._onPointerDown);
+            this._listen(canvas, "pointermove", this._onPointerMove);
+            this._listen(canvas, "pointerup", this._onPointerUp);
+            this._listen(canvas, "pointercancel", this._onPointerUp);
+            this._listen(canvas, "pointerleave", this._onPointerLeave);
+            if (this._config.keyboard) {
+                this._listen(canvas, "keydown", this._onKeyDown);
+            }
+
+            //Images of added tags arrive after they were first drawn
+            this._onResourceLoaded = function (resource) {
+                if (resource.tagIndex !== undefined) {
+                    this._schedule(true);
+                }
+            }.bind(this);
+            this._generator.on("resourceLoaded", this._onResourceLoaded);
+
+            //The photo was rendered with the tags of the generator, which
+            //are not the edited ones when mounted again
+            this._redraw();
+
+            return this;
+        }.bind(this));
+        promise.abort = render.abort;
+
+        return promise;
+    };
+
+    /**
+     *  @public
+     *  Removes the editor from its container. The edited tags are kept
+     *  for getTags, getPhoto and mounting again.
+     */
+    TagEditor.prototype.unmount = function () {
+        if (!this._canvas) {
+            return;
+        }
+
+        if (this._frame !== null) {
+            this._view.cancelAnimationFrame(this._frame);
+            this._frame = null;
+        }
+        this._listeners.forEach(function (listener) {
+            listener.target.removeEventListener(listener.event, listener.handler);
+        });
+        this._listeners = [];
+        this._generator.off("resourceLoaded", this._onResourceLoaded);
+
+        if (this._canvas.parentNode) {
+            this._canvas.parentNode.removeChild(this._canvas);
+        }
+        this._canvas = null;
+        this._layout = [];
+        this._hovered = null;
+        this._selected = null;
+        this._drag = null;
+    };
+
+    /**
+     *  @public
+     *  Returns the canvas of the editor, e.g. to listen for clicks on it.
+     *
+     *  @returns {object} canvas element (null when not mounted)
+     */
+    TagEditor.prototype.getCanvas = function () {
+        return this._canvas;
+    };
+
+    /**
+     *  @public
+     *  Returns the tags as edited, in the order they are drawn.
+     *
+     *  @returns {array} copies of the tags
+     */
+    TagEditor.prototype.getTags = function () {
+        return this._tags.map(copyTag);
+    };
+
+    /**
+     *  @public
+     *  Returns the photo of the generator with the tags as edited, e.g. to
+     *  save it or to render it with another generator.
+     *
+     *  @returns {object} copy of the photo
+     */
+    TagEditor.prototype.getPhoto = function () {
+        return Object.assign({}, this._generator._photo, {
+            tags: this.getTags()
+        });
+    };
+
+    /**
+     *  @public
+     *  Finds the tag position under a point of the screen, e.g. to add a tag
+     *  where the photo was clicked. Points outside the photo are moved to its
+     *  nearest edge.
+     *
+     *  @param {object} point in client coordinates (clientX, clientY), such
+     *  as a mouse or pointer event
+     *  @returns {object} tag position (tlc_x, tlc_y)
+     */
+    TagEditor.prototype.positionAt = function (event) {
+        return this._unmap(this._point(event));
+    };
+
+    /**
+     *  @public
+     *  Adds a tag to the edited tags and selects it. The tag is checked like the
+     *  tags of validatePhoto, throwing an invalid_photo error if it cannot
+     *  be drawn.
+     *
+     *  @param {object} tag (product, sizes and position), copied
+     *  @param {integer} index to insert the tag at (appended if not given)
+     *  @returns {integer} index of the tag
+     */
+    TagEditor.prototype.addTag = function (tag, index) {
+        var tags = this._tags.slice();
+
+        index = index === undefined ? tags.length : index;
+        tags.splice(index, 0, tag);
+
+        //Only the new tag is checked, problems of the others are not its
+        //fault
+        var path = "tags[" + index + "]",
+            validation = PhotoGenerator.validatePhoto({
+                versions: this._generator._photo.versions,
+                tags: tags
+            }),
+            errors = validation.errors.filter(function (error) {
+                return error.path === path || error.path.indexOf(path + ".") === 0;
+            });
+        if (errors.length) {
+            throw this._generator._invalidPhotoError({ errors: errors });
+        }
+
+        this._tags.splice(index, 0, copyTag(tag));
+        this._hovered = this._shiftIndex(this._hovered, index, 1);
+        this._selected = this._shiftIndex(this._selected, index, 1);
+
+        this._redraw();
+        this.select(index);
+        this._trigger("change", this._change("add", index, this._tags[index]));
+
+        return index;
+    };
+
+    /**
+     *  @public
+     *  Removes a tag from the edited tags, unselecting it if it was selected.
+     *
+     *  @param {integer} index of the tag
+     *  @returns {object} the removed tag
+     */
+    TagEditor.prototype.removeTag = function (index) {
+        var tag = this._tags[index];
+
+        if (!tag) {
+            return null;
+        }
+        if (this._selected === index) {
+            this.select(null);
+        }
+        if (this._drag) {
+            this._drag.index = this._drag.index === index ? null : this._shiftIndex(this._drag.index, index, -1);
+            if (this._drag.index === null) {
+                this._drag = null;
+            }
+        }
+
+        this._tags.splice(index, 1);
+        this._hovered = this._hovered === index ? null : this._shiftIndex(this._hovered, index, -1);
+        this._selected = this._shiftIndex(this._selected, index, -1);
+
+        this._redraw();
+        this._trigger("change", this._change("remove", index, tag));
+
+        return copyTag(tag);
+    };
+
+    /**
+     *  @public
+     *  Selects a tag, or unselects the selected tag.
+     *
+     *  @param {integer} index of the tag (null to unselect)
+     */
+    TagEditor.prototype.select = function (index) {
+        if (index === this._selected) {
+            return;
+        }
+
+        this._selected = index;
+        this._schedule(false);
+        this._trigger("select", {
+            index: index,
+            tag: index === null ? null : copyTag(this._tags[index])
+        });
+    };
+
+    /**
+     *  @public
+     *  Returns the index of the selected tag.
+     *
+     *  @returns {integer} index of the tag (null if none is selected)
+     */
+    TagEditor.prototype.getSelected = function () {
+        return this._selected;
+    };
+
+    /**
+     *  @private
+     *  Adds an event listener, to be removed again by unmount.
+     *
+     *  @param {object} event target
+     *  @param {string} event name
+     *  @param {function} handler (called with the editor as this)
+     */
+    TagEditor.prototype._listen = function (target, event, handler) {
+        handler = handler.bind(this);
+        target.addEventListener(event, handler);
+        this._listeners.push({
+            target: target,
+            event: event,
+            handler: handler
+        });
+    };
+
+    /**
+     *  @private
+     *  Starts dragging the tag under the pointer, selecting it. Pressing
+     *  anything else unselects. Legend entries select their tag but cannot
+     *  be dragged.
+     *
+     *  @param {object} pointer event
+     */
+    TagEditor.prototype._onPointerDown = function (event) {
+        var point = this._point(event),
+            hit = this._hitTest(point);
+
+        this.select(hit ? hit.item.index : null);
+
+        if (hit && !hit.legend) {
+            this._drag = {
+                pointerId: event.pointerId,
+                index: hit.item.index,
+                start: point,
+                arrow: hit.item.css.arrow,
+                moved: false
+            };
+            this._canvas.setPointerCapture(event.pointerId);
+        }
+    };
+
+    /**
+     *  @private
+     *  Moves the dragged tag along with the pointer (once it has moved past
+     *  the drag threshold), or updates what is hovered.
+     *
+     *  @param {object} pointer event
+     */
+    TagEditor.prototype._onPointerMove = function (event) {
+        var point = this._point(event),
+            drag = this._drag;
+
+        if (drag && drag.pointerId === event.pointerId) {
+            var dx = point.x - drag.start.x,
+                dy = point.y - drag.start.y,
+                threshold = this._config.dragThreshold;
+
+            if (!drag.moved && Math.abs(dx) < threshold && Math.abs(dy) < threshold) {
+                return;
+            }
+            drag.moved = true;
+
+            //The arrow follows the pointer, the label is laid out around it
+            this._moveTag(drag.index, {
+                x: drag.arrow.x + dx,
+                y: drag.arrow.y + dy
+            });
+            this._trigger("move", this._change("move", drag.index, this._tags[drag.index]));
+            return;
+        }
+
+        var hit = this._hitTest(point);
+        this._hover(hit ? hit.item.index : null);
+        this._canvas.style.cursor = hit ? (hit.legend ? "pointer" : "move") : "";
+    };
+
+    /**
+     *  @private
+     *  Drops the dragged tag, redrawing right away so the photo is never
+     *  left behind the last move.
+     *
+     *  @param {object} pointer event
+     */
+    TagEditor.prototype._onPointerUp = function (event) {
+        var drag = this._drag;
+
+        if (!drag || drag.pointerId !== event.pointerId) {
+            return;
+        }
+        this._drag = null;
+
+        if (drag.moved) {
+            this._redraw();
+            this._trigger("change", this._change("move", drag.index, this._tags[drag.index]));
+        }
+    };
+
+    /**
+     *  @private
+     *  Nothing is hovered once the pointer leaves the editor.
+     */
+    TagEditor.prototype._onPointerLeave = function () {
+        if (!this._drag) {
+            this._hover(null);
+        }
+    };
+
+    /**
+     *  @private
+     *  Removes the selected tag with Delete or Backspace and unselects it
+     *  with Escape.
+     *
+     *  @param {object} keyboard event
+     */
+    TagEditor.prototype._onKeyDown = function (event) {
+        if (this._selected === null) {
+            return;
+        }
+
+        if (event.key === "Delete" || event.key === "Backspace") {
+            //Backspace would navigate back in some browsers
+            event.preventDefault();
+            this.removeTag(this._selected);
+        }
+        else if (event.key === "Escape") {
+            this.select(null);
+        }
+    };
+
+    /**
+     *  @private
+     *  @param {integer} index of the hovered tag (null if none)
+     */
+    TagEditor.prototype._hover = function (index) {
+        if (index === this._hovered) {
+            return;
+        }
+
+        this._hovered = index;
+        this._schedule(false);
+        this._trigger("hover", {
+            index: index,
+            tag: index === null ? null : copyTag(this._tags[index])
+        });
+    };
+
+    /**
+     *  @private
+     *  Moves a tag so it points at coordinates on the photo.
+     *
+     *  @param {integer} index of the tag
+     *  @param {object} coordinates in CSS pixels (x, y)
+     */
+    TagEditor.prototype._moveTag = function (index, point) {
+        var tag = this._tags[index],
+            moved = this._unmap(point);
+
+        //A new position, as copies handed out before must not move along
+        tag.position = Object.assign({}, tag.position, {
+            tlc_x: moved.tlc_x,
+            tlc_y: moved.tlc_y
+        });
+
+        this._schedule(true);
+    };
+
+    /**
+     *  @private
+     *  Maps coordinates on the edited photo to a tag position.
+     *
+     *  @param {object} coordinates in CSS pixels (x, y)
+     *  @returns {object} tag position (tlc_x, tlc_y)
+     */
+    TagEditor.prototype._unmap = function (point) {
+        return this._generator._withOutput(this._config.preset, function () {
+            return this._unmapPosition({
+                x: point.x / this._labelScale,
+                y: point.y / this._labelScale
+            });
+        });
+    };
+
+    /**
+     *  @private
+     *  Describes a change of a tag for the handlers.
+     *
+     *  @param {string} action (add, move or remove)
+     *  @param {integer} index of the tag
+     *  @param {object} tag
+     *  @returns {object} action, index and copies of the tag and its
+     *  position
+     */
+    TagEditor.prototype._change = function (action, index, tag) {
+        return {
+            action: action,
+            index: index,
+            tag: copyTag(tag),
+            position: {
+                tlc_x: tag.position.tlc_x,
+                tlc_y: tag.position.tlc_y
+            }
+        };
+    };
+
+    /**
+     *  @private
+     *  Moves an index of a tag along with tags added or removed before it.
+     *
+     *  @param {integer} index (null if none)
+     *  @param {integer} index the tags were added or removed at
+     *  @param {integer} number of tags added (negative when removed)
+     *  @returns {integer} shifted index
+     */
+    TagEditor.prototype._shiftIndex = function (index, at, count) {
+        if (index === null || index < at || (count < 0 && index === at)) {
+            return index;
+        }
+        return index + count;
+    };
+
+    /**
+     *  @private
+     *  Converts the client coordinates of an event to CSS pixels on the
+     *  photo, however the canvas is scaled on the page.
+     *
+     *  @param {object} event (clientX, clientY)
+     *  @returns {object} coordinates (x, y)
+     */
+    TagEditor.prototype._point = function (event) {
+        var rect = this._canvas.getBoundingClientRect();
+
+        return {
+            x: (event.clientX - rect.left) * this._width / rect.width,
+            y: (event.clientY - rect.top) * this._height / rect.height
+        };
+    };
+
+    /**
+     *  @private
+     *  Finds the tag under a point, preferring the labels drawn last as they
+     *  are on top.
+     *
+     *  @param {object} coordinates in CSS pixels (x, y)
+     *  @returns {object} item of the layout (see getLayout) and whether it
+     *  was hit in the legend, or null
+     */
+    TagEditor.prototype._hitTest = function (point) {
+        var contains = function (rect) {
+            return rect && point.x >= rect.x && point.x <= rect.x + rect.width && point.y >= rect.y && point.y <= rect.y + rect.height;
+        };
+
+        for (var i = this._layout.length - 1; i >= 0; i--) {
+            var item = this._layout[i];
+            if (contains(item.css)) {
+                return { item: item, legend: false };
+            }
+            if (contains(item.css.legend)) {
+                return { item: item, legend: true };
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     *  @private
+     *  Draws again once per frame, however many changes happen in between.
+     *
+     *  @param {boolean} whether the photo must be redrawn, or just the
+     *  outlines
+     */
+    TagEditor.prototype._schedule = function (redraw) {
+        if (!this._canvas) {
+            return;
+        }
+
+        this._dirty = this._dirty || redraw;
+        if (this._frame !== null) {
+            return;
+        }
+
+        this._frame = this._view.requestAnimationFrame(function () {
+            this._frame = null;
+            if (this._dirty) {
+                this._redraw();
+            }
+            else {
+                this._draw();
+            }
+        }.bind(this));
+    };
+
+    /**
+     *  @private
+     *  Lets the generator draw the photo again with the edited tags (see
+     *  PhotoGenerator.redraw) and shows it.
+     */
+    TagEditor.prototype._redraw = function () {
+        if (!this._canvas) {
+            return;
+        }
+
+        this._dirty = false;
+        this._generator.redraw(this._tags);
+        this._draw();
+    };
+
+    /**
+     *  @private
+     *  Copies the photo of the generator to the editor canvas and outlines
+     *  the hovered and selected tags on top.
+     */
+    TagEditor.prototype._draw = function () {
+        var canvas = this._canvas,
+            output = this._generator._withOutput(this._config.preset, function () {
+                return {
+                    layout: this.getLayout(),
+                    canvas: this._canvas,
+                    width: this._canvasWidth * this._labelScale,
+                    height: this._canvasHeight * this._labelScale
+                };
+            }),
+            layout = output.layout,
+            source = output.canvas;
+
+        this._layout = layout;
+        this._width = output.width;
+        this._height = output.height;
+
+        if (canvas.width !== source.width || canvas.height !== source.height) {
+            canvas.width = source.width;
+            canvas.height = source.height;
+            canvas.style.width = this._width + "px";
+        }
+
+        var context = canvas.getContext("2d"),
+            lineWidth = this._config.outlineWidth * canvas.width / this._width;
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(source, 0, 0);
+
+        [
+            { index: this._hovered, color: this._config.hoverColor },
+            { index: this._selected, color: this._config.selectColor }
+        ].forEach(function (outline) {
+            if (outline.index === null) {
+                return;
+            }
+
+            layout.filter(function (item) {
+                return item.index === outline.index;
+            }).forEach(function (item) {
+                context.strokeStyle = outline.color;
+                context.lineWidth = lineWidth;
+                [item.device, item.device.legend].forEach(function (rect) {
+                    if (rect) {
+                        context.strokeRect(rect.x - lineWidth / 2, rect.y - lineWidth / 2, rect.width + lineWidth, rect.height + lineWidth);
+                    }
+                });
+            });
+        });
+    };
+
+    return TagEditor;
+
+}));
@@ -0,0 +1,13 @@
+//Entry for Node and bundlers, which load the modules below as CommonJS.
+//Browsers without a bundler use them directly (AMD or script tags).
+import PhotoGenerator from "./PhotoGenerator.js";
+import PhotoCollage from "./PhotoCollage.js";
+import BrowserBackend from "./BrowserBackend.js";
+import NodeBackend from "./NodeBackend.js";
+import FontLoader from "./FontLoader.js";
+import TagEditor from "./TagEditor.js";
+import DeferredCompat from "./DeferredCompat.js";
+
+export { PhotoGenerator, PhotoCollage, BrowserBackend, NodeBackend, FontLoader, TagEditor, DeferredCompat };
+
+export default PhotoGenerator;
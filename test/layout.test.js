@@ -0,0 +1,75 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    napi = require("@napi-rs/canvas"),
+    PhotoGenerator = require("../PhotoGenerator"),
+    NodeBackend = require("../NodeBackend");
+
+var render = function (tags) {
+    var canvas = napi.createCanvas(750, 1000);
+
+    canvas.getContext("2d").fillRect(0, 0, 750, 1000);
+
+    var generator = new PhotoGenerator({
+        versions: { large: { url: canvas.toDataURL("image/png") } },
+        tags: tags.map(function (position, index) {
+            return {
+                product: { id: index, brand: { name: "Acne Studios" } },
+                sizes: { string: "Size M" },
+                position: position
+            };
+        })
+    }, {
+        backend: new NodeBackend({ canvas: napi }),
+        watermarkType: "none"
+    });
+
+    return generator.render().then(function () {
+        return generator;
+    });
+};
+
+var overlap = function (a, b) {
+    return a.labelX < b.labelX + b.width && b.labelX < a.labelX + a.width &&
+        a.labelY < b.labelY + b.height && b.labelY < a.labelY + a.height;
+};
+
+test("keeps the labels of tags close together apart", function () {
+    return render([
+        { tlc_x: 0.5, tlc_y: 0.5 },
+        { tlc_x: 0.52, tlc_y: 0.51 },
+        { tlc_x: 0.48, tlc_y: 0.52 }
+    ]).then(function (generator) {
+        var layout = generator._layoutTags();
+
+        assert.strictEqual(layout.length, 3);
+        layout.forEach(function (a, i) {
+            layout.slice(i + 1).forEach(function (b) {
+                assert.ok(!overlap(a, b), "labels overlap: " + JSON.stringify([a, b]));
+            });
+        });
+    });
+});
+
+test("points the arrow at the tag position", function () {
+    var positions = [
+        { tlc_x: 0.3, tlc_y: 0.4 },
+        { tlc_x: 0.995, tlc_y: 0.005 },
+        { tlc_x: 0, tlc_y: 1 }
+    ];
+
+    return render(positions).then(function (generator) {
+        generator._layoutTags().forEach(function (item, index) {
+            var point = generator._mapPosition(positions[index]);
+
+            assert.ok(item, "tag " + index + " is laid out");
+            assert.strictEqual(item.x, point.x);
+            assert.strictEqual(item.y, point.y);
+        });
+
+        //Labels at the edges are kept inside, the arrow still reaches the tag
+        var corner = generator._layoutTags()[1];
+        assert.notDeepStrictEqual({ x: corner.anchorX, y: corner.anchorY }, { x: corner.x, y: corner.y });
+    });
+});
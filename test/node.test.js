@@ -0,0 +1,111 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    napi = require("@napi-rs/canvas"),
+    PhotoGenerator = require("../PhotoGenerator"),
+    BrowserBackend = require("../BrowserBackend"),
+    NodeBackend = require("../NodeBackend");
+
+//Draws the source photo, a plain background with a darker square
+var photoUrl = function (width, height) {
+    var canvas = napi.createCanvas(width, height),
+        context = canvas.getContext("2d");
+
+    context.fillStyle = "#88aacc";
+    context.fillRect(0, 0, width, height);
+    context.fillStyle = "#333333";
+    context.fillRect(width / 4, height / 4, width / 2, height / 2);
+
+    return canvas.toDataURL("image/png");
+};
+
+var photo = {
+    versions: {
+        large: { url: photoUrl(750, 1000) }
+    },
+    tags: [
+        {
+            product: { id: 1, brand: { name: "Acne Studios" } },
+            sizes: { string: "Size M" },
+            position: { tlc_x: 0.3, tlc_y: 0.4 }
+        },
+        {
+            product: { id: 2, brand: { name: "Weekday" } },
+            sizes: { string: "Size 28/32" },
+            position: { tlc_x: 0.98, tlc_y: 0.02 }
+        }
+    ]
+};
+
+//The browser backend draws on whatever the page gives it, here the same
+//canvas module as the Node backend so both can be compared pixel by pixel
+var useBrowser = function () {
+    global.window = {
+        location: {
+            href: "https://fitbay.com/",
+            origin: "https://fitbay.com"
+        }
+    };
+    global.document = {
+        createElement: function () {
+            var canvas = napi.createCanvas(300, 150);
+            canvas.setAttribute = function () {};
+            return canvas;
+        }
+    };
+    global.Image = napi.Image;
+};
+
+var render = function (backend) {
+    var generator = new PhotoGenerator(photo, {
+        backend: backend,
+        watermarkType: "none"
+    });
+
+    return generator.render().then(function () {
+        return {
+            layout: generator.getLayout(),
+            url: generator.getImageUrl()
+        };
+    });
+};
+
+test("renders the same photo in Node as in the browser", function () {
+    var node;
+
+    return render(new NodeBackend({ canvas: napi })).then(function (result) {
+        node = result;
+        useBrowser();
+        return render(new BrowserBackend());
+    }).then(function (browser) {
+        assert.strictEqual(node.layout.length, 2);
+        assert.deepStrictEqual(node.layout, browser.layout);
+        assert.ok(node.url.length > 1000);
+        assert.strictEqual(node.url, browser.url);
+    });
+});
+
+test("loads images from local files in Node", function () {
+    var fs = require("fs"),
+        os = require("os"),
+        path = require("path"),
+        file = path.join(os.tmpdir(), "photo-generator-" + process.pid + ".png"),
+        url = photo.versions.large.url;
+
+    fs.writeFileSync(file, Buffer.from(url.slice(url.indexOf(",") + 1), "base64"));
+
+    var generator = new PhotoGenerator({
+        versions: { large: { url: file } },
+        tags: photo.tags
+    }, {
+        backend: new NodeBackend({ canvas: napi }),
+        watermarkType: "none"
+    });
+
+    return generator.render().then(function () {
+        assert.strictEqual(generator.getLayout().length, 2);
+    }).finally(function () {
+        fs.unlinkSync(file);
+    });
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    napi = require("@napi-rs/canvas"),
+    PhotoGenerator = require("../PhotoGenerator"),
+    NodeBackend = require("../NodeBackend");
+
+var FAMILY = "👨‍👩‍👧";
+
+//Every UTF-16 code unit is 10 pixels wide, so widths do not depend on the
+//fonts installed
+var generator = function () {
+    var generator = new PhotoGenerator({
+        versions: { large: { url: "photo.jpg" } },
+        tags: []
+    }, {
+        backend: new NodeBackend({ canvas: napi })
+    });
+
+    generator._context = {
+        measureText: function (text) {
+            return { width: text.length * 10 };
+        }
+    };
+
+    return generator;
+};
+
+test("wraps text between words", function () {
+    assert.deepStrictEqual(generator()._fitText("Acne Studios Stockholm", 120, 3), ["Acne Studios", "Stockholm"]);
+});
+
+test("breaks words too long for a line", function () {
+    assert.deepStrictEqual(generator()._fitText("Abercrombie", 50, 3), ["Aberc", "rombi", "e"]);
+});
+
+test("crops text beyond maxLines with an ellipsis", function () {
+    assert.deepStrictEqual(generator()._fitText("Acne Studios Stockholm", 120, 1), ["Acne Stud..."]);
+    assert.deepStrictEqual(generator()._fitText("Acne Studios Stockholm Sweden", 120, 2), ["Acne Studios", "Stockholm..."]);
+});
+
+test("never breaks zero width joined emoji apart", function () {
+    var text = FAMILY + FAMILY + FAMILY;
+
+    assert.deepStrictEqual(generator()._fitText(text, 120, 3), [FAMILY, FAMILY, FAMILY]);
+    assert.deepStrictEqual(generator()._fitText(text, 120, 1), [FAMILY + "..."]);
+    assert.deepStrictEqual(generator()._fitText(text, 100, 1), ["..."]);
+});
+
+test("detects rows reading from right to left", function () {
+    var g = generator(),
+        rows = g._calculcateDimensions(g._labelRows({
+            product: { id: 1, brand: { name: "שלום" } },
+            sizes: { string: "42 مقاس" },
+            position: { tlc_x: 0.5, tlc_y: 0.5 }
+        })).rows;
+
+    assert.deepStrictEqual(rows.map(function (row) {
+        return row.rtl;
+    }), [true, true]);
+
+    rows = g._calculcateDimensions(g._labelRows({
+        product: { id: 1, brand: { name: "Acne שלום" } },
+        sizes: { string: "42" },
+        position: { tlc_x: 0.5, tlc_y: 0.5 }
+    })).rows;
+
+    assert.deepStrictEqual(rows.map(function (row) {
+        return row.rtl;
+    }), [false, false]);
+});
@@ -0,0 +1,278 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    http = require("node:http"),
+    napi = require("@napi-rs/canvas"),
+    PhotoGenerator = require("../PhotoGenerator"),
+    NodeBackend = require("../NodeBackend");
+
+//Answers the requests in turn: a status code to answer with, "drop" to
+//close the connection without an answer or "hang" to never answer
+var replies = [],
+    received = [];
+
+var server = http.createServer(function (req, res) {
+    var chunks = [];
+
+    req.on("data", function (chunk) {
+        chunks.push(chunk);
+    });
+    req.on("end", function () {
+        var reply = replies.shift() || 200;
+
+        received.push({
+            time: Date.now(),
+            method: req.method,
+            type: req.headers["content-type"],
+            body: Buffer.concat(chunks).toString("latin1")
+        });
+
+        if (reply === "drop") {
+            req.socket.destroy();
+        }
+        else if (reply !== "hang") {
+            res.writeHead(reply, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ status: reply }));
+        }
+    });
+});
+
+//Enough of XMLHttpRequest for uploads, sent with http.request. The body is
+//encoded by Response, so form data is sent as multipart like a browser does
+var Request = function () {
+    this.status = 0;
+    this.responseText = "";
+    this._headers = {};
+    this._responseHeaders = {};
+    this._request = null;
+    this._aborted = false;
+};
+
+Request.prototype = {};
+
+Request.prototype.open = function (method, url) {
+    this._method = method;
+    this._url = url;
+};
+
+Request.prototype.setRequestHeader = function (name, value) {
+    this._headers[name] = value;
+};
+
+Request.prototype.getResponseHeader = function (name) {
+    return this._responseHeaders[name.toLowerCase()] || null;
+};
+
+Request.prototype.send = function (body) {
+    var encoded = new Response(body),
+        headers = Object.assign({}, this._headers);
+
+    if (!headers["Content-Type"] && encoded.headers.get("Content-Type")) {
+        headers["Content-Type"] = encoded.headers.get("Content-Type");
+    }
+
+    encoded.arrayBuffer().then(function (buffer) {
+        if (this._aborted) {
+            return;
+        }
+
+        this._request = http.request(this._url, {
+            method: this._method,
+            headers: headers
+        }, function (res) {
+            var chunks = [];
+
+            res.on("data", function (chunk) {
+                chunks.push(chunk);
+            });
+            res.on("end", function () {
+                this.status = res.statusCode;
+                this.responseText = Buffer.concat(chunks).toString();
+                this._responseHeaders = res.headers;
+                this.onload();
+            }.bind(this));
+        }.bind(this));
+
+        this._request.on("error", function () {
+            if (!this._aborted) {
+                this.status = 0;
+                this.onerror();
+            }
+        }.bind(this));
+
+        this._request.end(Buffer.from(buffer));
+    }.bind(this));
+};
+
+Request.prototype.abort = function () {
+    this._aborted = true;
+    if (this._request) {
+        this._request.destroy();
+    }
+};
+
+var render = function (XMLHttpRequest) {
+    var canvas = napi.createCanvas(40, 40),
+        generator;
+
+    canvas.getContext("2d").fillRect(10, 10, 20, 20);
+
+    generator = new PhotoGenerator({
+        versions: {
+            large: { url: canvas.toDataURL("image/png") }
+        },
+        tags: []
+    }, {
+        backend: new NodeBackend({
+            canvas: napi,
+            XMLHttpRequest: XMLHttpRequest || Request
+        }),
+        watermarkType: "none"
+    });
+
+    return generator.render().then(function () {
+        return generator;
+    });
+};
+
+var upload = function (generator, options) {
+    return generator.upload(Object.assign({
+        url: "http://127.0.0.1:" + server.address().port + "/photos",
+        retryDelay: 20
+    }, options));
+};
+
+var wait = function (delay) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, delay);
+    });
+};
+
+test.before(function () {
+    return new Promise(function (resolve) {
+        server.listen(0, "127.0.0.1", resolve);
+    });
+});
+
+test.after(function () {
+    server.close();
+});
+
+test.beforeEach(function () {
+    replies = [];
+    received = [];
+});
+
+test("uploads the photo as multipart form data", function () {
+    return render().then(function (generator) {
+        return upload(generator, {
+            fields: { id: "42" }
+        });
+    }).then(function (response) {
+        assert.deepStrictEqual(response, { status: 200 });
+        assert.strictEqual(received.length, 1);
+        assert.strictEqual(received[0].method, "POST");
+        assert.match(received[0].type, /^multipart\/form-data; boundary=/);
+        assert.match(received[0].body, /name="id"\r\n\r\n42\r\n/);
+        assert.match(received[0].body, /name="image"; filename="photo.jpg"\r\nContent-Type: image\/jpeg/);
+    });
+});
+
+test("retries failed uploads, waiting longer every time", function () {
+    replies = [503, "drop", 200];
+
+    return render().then(function (generator) {
+        return upload(generator);
+    }).then(function (response) {
+        assert.deepStrictEqual(response, { status: 200 });
+        assert.strictEqual(received.length, 3);
+        assert.ok(received[1].time - received[0].time >= 20);
+        assert.ok(received[2].time - received[1].time >= 40);
+    });
+});
+
+test("gives up after the retries", function () {
+    replies = [500, 500, 500];
+
+    return render().then(function (generator) {
+        return upload(generator, { retries: 1 });
+    }).then(function () {
+        assert.fail("The upload should fail");
+    }, function (error) {
+        assert.strictEqual(error.code, "upload_error");
+        assert.strictEqual(error.status, 500);
+        assert.strictEqual(error.attempts, 2);
+        assert.deepStrictEqual(error.response, { status: 500 });
+        assert.strictEqual(received.length, 2);
+    });
+});
+
+test("does not retry client errors", function () {
+    replies = [400];
+
+    return render().then(function (generator) {
+        return upload(generator);
+    }).then(function () {
+        assert.fail("The upload should fail");
+    }, function (error) {
+        assert.strictEqual(error.code, "upload_error");
+        assert.strictEqual(error.status, 400);
+        assert.strictEqual(received.length, 1);
+    });
+});
+
+test("aborts the upload", function () {
+    replies = ["hang"];
+
+    return render().then(function (generator) {
+        var promise = upload(generator),
+            check = function () {
+                if (!received.length) {
+                    return wait(5).then(check);
+                }
+                promise.abort();
+                return promise;
+            };
+
+        return check();
+    }).then(function () {
+        assert.fail("The upload should be aborted");
+    }, function (error) {
+        assert.strictEqual(error.code, "upload_aborted");
+        return wait(100);
+    }).then(function () {
+        assert.strictEqual(received.length, 1);
+    });
+});
+
+test("rejects requests throwing on a retry", function () {
+    var opened = 0;
+
+    var Failing = function () {
+        Request.call(this);
+    };
+
+    Failing.prototype = Object.create(Request.prototype);
+
+    Failing.prototype.open = function () {
+        opened++;
+        if (opened > 1) {
+            throw new Error("Blocked");
+        }
+        Request.prototype.open.apply(this, arguments);
+    };
+
+    replies = [503];
+
+    return render(Failing).then(function (generator) {
+        return upload(generator);
+    }).then(function () {
+        assert.fail("The upload should fail");
+    }, function (error) {
+        assert.strictEqual(error.code, "upload_error");
+        assert.strictEqual(error.cause.message, "Blocked");
+        assert.strictEqual(error.attempts, 2);
+        assert.strictEqual(received.length, 1);
+    });
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    PhotoGenerator = require("../PhotoGenerator");
+
+var tag = function (changes) {
+    return Object.assign({
+        product: { id: 1, brand: { name: "Acne Studios" } },
+        sizes: { string: "Size M" },
+        position: { tlc_x: 0.5, tlc_y: 0.5 }
+    }, changes);
+};
+
+var paths = function (validation) {
+    return validation.errors.map(function (error) {
+        return error.path;
+    });
+};
+
+test("accepts a complete photo", function () {
+    var validation = PhotoGenerator.validatePhoto({
+        versions: { large: { url: "photo.jpg" } },
+        tags: [tag()]
+    });
+
+    assert.deepStrictEqual(validation, { valid: true, errors: [], skippedTags: [] });
+});
+
+test("reports every problem at its path", function () {
+    var validation = PhotoGenerator.validatePhoto({
+        versions: { large: { url: "photo.jpg" } },
+        tags: [
+            tag(),
+            tag({ product: { id: 2, brand: { name: 7, logo: {} } }, sizes: null }),
+            tag({ position: { tlc_x: 1.5, tlc_y: "0.2" } }),
+            "tag"
+        ]
+    });
+
+    assert.strictEqual(validation.valid, false);
+    assert.deepStrictEqual(paths(validation), [
+        "tags[1].product.brand.name",
+        "tags[1].product.brand.logo.url",
+        "tags[1].sizes.string",
+        "tags[2].position.tlc_x",
+        "tags[2].position.tlc_y",
+        "tags[3]"
+    ]);
+    assert.strictEqual(validation.errors[3].message, "tags[2].position.tlc_x is outside 0..1");
+});
+
+test("reports a photo without an image or tags", function () {
+    assert.deepStrictEqual(paths(PhotoGenerator.validatePhoto(null)), ["photo"]);
+    assert.deepStrictEqual(paths(PhotoGenerator.validatePhoto({})), ["versions", "tags"]);
+    assert.deepStrictEqual(paths(PhotoGenerator.validatePhoto({
+        versions: { large: {}, thumbnail: { url: "photo.jpg" } },
+        tags: []
+    })), ["versions"]);
+});
+
+test("falls back to the original version when another has no URL", function () {
+    var validation = PhotoGenerator.validatePhoto({
+        versions: { large: {}, original: { url: "photo.jpg" } },
+        tags: [tag({ product: { id: 1, brand: { name: "Acne" }, image: { thumbnail: { url: "" }, original: { url: "shirt.jpg" } } } })]
+    });
+
+    assert.strictEqual(validation.valid, true);
+});
+
+test("skips broken tags in lenient mode only", function () {
+    var photo = {
+        versions: { original: { url: "photo.jpg" } },
+        tags: [
+            tag({ sizes: {} }),
+            tag(),
+            tag({ product: { id: 3, brand: { name: "Weekday" }, image: { thumbnail: {} } } })
+        ]
+    };
+
+    var strict = PhotoGenerator.validatePhoto(photo),
+        lenient = PhotoGenerator.validatePhoto(photo, { mode: "lenient" });
+
+    assert.strictEqual(strict.valid, false);
+    assert.deepStrictEqual(strict.skippedTags, []);
+
+    assert.strictEqual(lenient.valid, true);
+    assert.deepStrictEqual(lenient.skippedTags, [0, 2]);
+    assert.deepStrictEqual(paths(lenient), ["tags[0].sizes.string", "tags[2].product.image"]);
+});
+
+test("keeps a photo without an image invalid in lenient mode", function () {
+    var validation = PhotoGenerator.validatePhoto({
+        versions: {},
+        tags: [tag({ position: null })]
+    }, { mode: "lenient" });
+
+    assert.strictEqual(validation.valid, false);
+    assert.deepStrictEqual(validation.skippedTags, [0]);
+});